@@ -2,3 +2,13 @@
 
 exports.Client = require('./src/lib/client')
 exports.Core = require('./src/lib/core')
+exports.Receiver = require('./src/lib/receiver')
+exports.quoteSelectors = require('./src/lib/quoteSelectors')
+exports.errors = require('./src/lib/errors')
+exports.validatePlugin = require('./src/lib/validatePlugin').validatePlugin
+exports.condition = require('./src/lib/condition')
+exports.paymentRequest = require('./src/lib/paymentRequest')
+exports.chunkedPayment = require('./src/lib/chunkedPayment')
+exports.MemoryStore = require('./src/lib/store').MemoryStore
+exports.FileStore = require('./src/lib/store').FileStore
+exports.ilpError = require('./src/lib/ilpError')
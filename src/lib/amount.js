@@ -0,0 +1,82 @@
+'use strict'
+
+const BigNumber = require('bignumber.js')
+const InvalidAmountError = require('./errors').InvalidAmountError
+
+/**
+ * Check that an amount is a positive number that fits the ledger's
+ * precision (total number of digits) and scale (digits after the decimal point).
+ *
+ * @param {String} field Parameter name, used in the error message
+ * @param {String|Number} amount
+ * @param {Object} [ledgerInfo] The result of `plugin.getInfo()`. If omitted, only the sign is checked.
+ * @param {Integer} [ledgerInfo.precision]
+ * @param {Integer} [ledgerInfo.scale]
+ * @throws {InvalidAmountError}
+ */
+function validateAmount (field, amount, ledgerInfo) {
+  const context = {field, amount}
+  let value
+  try {
+    value = new BigNumber(amount)
+  } catch (err) {
+    throw new InvalidAmountError(field + ' is not a number: ' + amount, context)
+  }
+  if (typeof amount === 'object' || !value.isFinite()) {
+    throw new InvalidAmountError(field + ' is not a number: ' + amount, context)
+  }
+  if (!value.greaterThan(0)) {
+    throw new InvalidAmountError(field + ' must be positive: ' + amount, context)
+  }
+
+  const info = ledgerInfo || {}
+  if (typeof info.scale === 'number' && value.decimalPlaces() > info.scale) {
+    throw new InvalidAmountError(
+      field + ' has more than ' + info.scale + ' decimal places: ' + amount, context)
+  }
+  if (typeof info.precision === 'number' && countDigits(value, info.scale) > info.precision) {
+    throw new InvalidAmountError(
+      field + ' exceeds the ledger precision of ' + info.precision + ' digits: ' + amount, context)
+  }
+}
+
+/**
+ * Convert an amount in display units (e.g. "1.23" dollars) into an integer
+ * amount of base units (e.g. "123" cents).
+ *
+ * @param {String|Number} amount
+ * @param {Integer} scale The ledger's scale
+ * @param {Integer} [roundingMode] A BigNumber rounding mode. Defaults to BigNumber.ROUND_DOWN.
+ * @returns {String}
+ */
+function toBaseUnits (amount, scale, roundingMode) {
+  return (new BigNumber(amount)).shift(scale)
+    .toFixed(0, roundingMode === undefined ? BigNumber.ROUND_DOWN : roundingMode)
+}
+
+/**
+ * Convert an integer amount of base units into display units.
+ *
+ * @param {String|Number} amount
+ * @param {Integer} scale The ledger's scale
+ * @returns {String}
+ */
+function fromBaseUnits (amount, scale) {
+  return (new BigNumber(amount)).shift(-scale).toString()
+}
+
+/**
+ * Number of digits the ledger needs to store `value`. Ledgers with a scale
+ * store that many decimal places for every amount.
+ */
+function countDigits (value, scale) {
+  if (typeof scale !== 'number') return value.precision(true)
+  const integerPart = value.truncated()
+  return (integerPart.isZero() ? 0 : integerPart.precision(true)) + scale
+}
+
+module.exports = {
+  validateAmount,
+  toBaseUnits,
+  fromBaseUnits
+}
@@ -0,0 +1,34 @@
+'use strict'
+
+/**
+ * @param {Buffer} buffer
+ * @returns {String} Unpadded base64url
+ */
+function encode (buffer) {
+  return buffer.toString('base64')
+    .replace(/=/g, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+}
+
+/**
+ * @param {String} string base64url, with or without padding
+ * @returns {Buffer}
+ */
+function decode (string) {
+  return Buffer.from(string.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+}
+
+/**
+ * @param {*} string
+ * @returns {Boolean}
+ */
+function isBase64Url (string) {
+  return typeof string === 'string' && /^[A-Za-z0-9_-]*={0,2}$/.test(string)
+}
+
+module.exports = {
+  encode,
+  decode,
+  isBase64Url
+}
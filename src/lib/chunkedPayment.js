@@ -0,0 +1,161 @@
+'use strict'
+
+const BigNumber = require('bignumber.js')
+const LiquidityCurve = require('ilp-routing').LiquidityCurve
+const debug = require('debug')('ilp-core')
+
+const DEFAULT_MAX_CHUNKS = 100
+
+/**
+ * Split a payment into chunks that each fit through one connector.
+ *
+ * A connector's capacity is the highest source amount on its liquidity curve
+ * (or `maxChunkAmount`, if that is lower). Connectors are used round-robin,
+ * best rate first, until the whole amount is allocated.
+ *
+ * @param {Object[]} quotes Successful `Client#quoteAll` results, optionally with a `liquidityCurve`
+ * @param {String} sourceAmount Total amount to send
+ * @param {Object} opts
+ * @param {Integer} opts.scale Scale of the source ledger; chunks are rounded down to it
+ * @param {String} [opts.maxChunkAmount] Upper bound for each chunk. Required for connectors without a liquidity curve.
+ * @param {Integer} [opts.maxChunks] Refuse to plan more chunks than this (default 100)
+ * @returns {Object[]} [{index, connector, sourceAmount}]
+ */
+function planChunks (quotes, sourceAmount, opts) {
+  const maxChunks = opts.maxChunks || DEFAULT_MAX_CHUNKS
+  const paths = quotes
+    .map((quote) => ({
+      connector: quote.connector,
+      capacity: getCapacity(quote, opts),
+      rate: getRate(quote)
+    }))
+    .filter((path) => path.capacity.greaterThan(0))
+    .sort((path1, path2) => path2.rate.comparedTo(path1.rate))
+  if (paths.length === 0) {
+    throw new Error('No connector has liquidity for the payment')
+  }
+
+  const chunks = []
+  let remaining = new BigNumber(sourceAmount)
+  while (remaining.greaterThan(0)) {
+    for (const path of paths) {
+      if (remaining.isZero()) break
+      if (chunks.length === maxChunks) {
+        throw new Error('Payment would need more than ' + maxChunks + ' chunks')
+      }
+      const amount = BigNumber.min(remaining, path.capacity)
+      chunks.push({
+        index: chunks.length,
+        connector: path.connector,
+        sourceAmount: amount.toString()
+      })
+      remaining = remaining.minus(amount)
+    }
+  }
+  return chunks
+}
+
+/**
+ * Send chunks with bounded concurrency. Once a chunk fails, no further chunks
+ * are started; chunks already in flight are awaited.
+ *
+ * @param {Object[]} chunks From `planChunks`
+ * @param {Function} sendChunk chunk ⇒ Promise.<String|null> Resolves with the chunk's fulfillment
+ * @param {Object} opts
+ * @param {Integer} opts.concurrency Maximum number of chunks in flight
+ * @param {Function} [opts.onProgress] Called with a progress summary whenever a chunk is started or settles.
+ *   Errors it throws are ignored.
+ * @returns {Promise.<Object>} {sourceAmount, fulfilledAmount, failedAmount, chunks}, where each chunk has a
+ *   `state` of "fulfilled" (with `fulfillment`), "failed" (with `error`) or "skipped"
+ */
+function sendChunks (chunks, sendChunk, opts) {
+  chunks = chunks.map((chunk) => Object.assign({state: 'skipped'}, chunk))
+  const total = (state) => chunks
+    .filter((chunk) => chunk.state === state)
+    .reduce((sum, chunk) => sum.plus(chunk.sourceAmount), new BigNumber(0))
+    .toString()
+  const summarize = () => ({
+    sourceAmount: chunks.reduce((sum, chunk) => sum.plus(chunk.sourceAmount), new BigNumber(0)).toString(),
+    fulfilledAmount: total('fulfilled'),
+    failedAmount: total('failed'),
+    pendingAmount: total('pending'),
+    chunks: chunks.map((chunk) => Object.assign({}, chunk))
+  })
+  const reportProgress = () => {
+    if (!opts.onProgress) return
+    // A failing callback mustn't stop the chunks from being tracked
+    try {
+      opts.onProgress(summarize())
+    } catch (err) {
+      debug('onProgress callback failed: ' + err.message)
+    }
+  }
+
+  return new Promise((resolve) => {
+    let next = 0
+    let active = 0
+    let failed = false
+    const launch = () => {
+      while (active < opts.concurrency && next < chunks.length) {
+        if (failed) break
+        start(chunks[next++])
+      }
+      if (active === 0) {
+        const result = summarize()
+        delete result.pendingAmount
+        resolve(result)
+      }
+    }
+    const start = (chunk) => {
+      active++
+      chunk.state = 'pending'
+      reportProgress()
+      Promise.resolve()
+        .then(() => sendChunk(chunk))
+        .then((fulfillment) => {
+          chunk.state = 'fulfilled'
+          chunk.fulfillment = fulfillment
+        }, (err) => {
+          chunk.state = 'failed'
+          chunk.error = err
+          failed = true
+        })
+        .then(() => {
+          active--
+          reportProgress()
+          launch()
+        })
+    }
+    launch()
+  })
+}
+
+function getCapacity (quote, opts) {
+  let capacity = new BigNumber(Infinity)
+  if (quote.liquidityCurve) {
+    const points = (new LiquidityCurve(quote.liquidityCurve)).getPoints()
+    capacity = new BigNumber(points[points.length - 1][0])
+  }
+  if (opts.maxChunkAmount) {
+    capacity = BigNumber.min(capacity, opts.maxChunkAmount)
+  }
+  if (!capacity.isFinite()) return new BigNumber(0)
+  return capacity.round(opts.scale, BigNumber.ROUND_DOWN)
+}
+
+function getRate (quote) {
+  if (quote.liquidityCurve) {
+    const curve = new LiquidityCurve(quote.liquidityCurve)
+    const points = curve.getPoints()
+    const maxX = points[points.length - 1][0]
+    if (maxX > 0) return (new BigNumber(curve.amountAt(maxX))).div(maxX)
+  }
+  const sourceAmount = new BigNumber(quote.sourceAmount || 0)
+  if (sourceAmount.isZero()) return new BigNumber(0)
+  return (new BigNumber(quote.destinationAmount || 0)).div(sourceAmount)
+}
+
+module.exports = {
+  planChunks,
+  sendChunks
+}
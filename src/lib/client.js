@@ -6,11 +6,52 @@ const BigNumber = require('bignumber.js')
 const isUndefined = require('lodash/fp/isUndefined')
 const omitUndefined = require('lodash/fp/omitBy')(isUndefined)
 const EventEmitter = require('eventemitter2')
-const notUndefined = require('lodash/fp/negate')(isUndefined)
 const startsWith = require('lodash/fp/startsWith')
 const packet = require('ilp-packet')
+const QuoteCache = require('./quoteCache')
+const TransferTracker = require('./transferTracker')
+const timer = require('./timer')
+const store = require('./store')
+const assertValidPlugin = require('./validatePlugin').assertValidPlugin
+const quoteSelectors = require('./quoteSelectors')
+const amount = require('./amount')
+const validateAmount = amount.validateAmount
+const toBaseUnits = amount.toBaseUnits
+const fromBaseUnits = amount.fromBaseUnits
+const condition = require('./condition')
+const errors = require('./errors')
+const ilpError = require('./ilpError')
+const ilpPayment = require('./ilpPayment')
+const MemoCodecs = require('./memoCodecs')
+const Receiver = require('./receiver')
+const paymentRequest = require('./paymentRequest')
+const chunkedPayment = require('./chunkedPayment')
 const debug = require('debug')('ilp-core')
 
+const DEFAULT_EXPIRY_DURATION = 10 // seconds
+const DEFAULT_QUOTE_VALIDITY = QuoteCache.DEFAULT_QUOTE_VALIDITY
+const DEFAULT_PAYMENT_REQUEST_EXPIRY_DURATION = 60 // seconds
+const DEFAULT_CHUNK_CONCURRENCY = 4
+const DEFAULT_TRANSFER_HISTORY_TTL = 600000 // milliseconds
+const STORE_KEYS = {
+  outgoingTransfers: 'outgoing_transfers',
+  incomingTransfers: 'incoming_transfers',
+  paymentRequests: 'payment_requests'
+}
+const DEFAULT_RECONNECT = {
+  initialDelay: 1000, // milliseconds
+  maxDelay: 60000, // milliseconds
+  factor: 2,
+  jitter: 0.5
+}
+// Amount params, which ledger's units they are in, and how to round them into base units
+const AMOUNT_FIELDS = {
+  sourceAmount: {ledger: 'source', rounding: BigNumber.ROUND_UP},
+  maxSourceAmount: {ledger: 'source', rounding: BigNumber.ROUND_UP},
+  destinationAmount: {ledger: 'destination', rounding: BigNumber.ROUND_DOWN},
+  minDestinationAmount: {ledger: 'destination', rounding: BigNumber.ROUND_DOWN}
+}
+
 class Client extends EventEmitter {
   /**
    * @param {Object} pluginOpts options for the ledger plugin, or an instantiated plugin object
@@ -18,6 +59,22 @@ class Client extends EventEmitter {
    * @param {Object} [_clientOpts]
    * @param {IlpAddress[]} [_clientOpts.connectors] A list of connectors to quote from
    * @param {Integer} [_clientOpts.messageTimeout] The number of milliseconds to wait for a response to sendMessage.
+   * @param {Integer} [_clientOpts.quoteCacheTtl] The number of milliseconds to cache quotes for (disabled by default).
+   * @param {Integer} [_clientOpts.quoteValidity] The number of milliseconds a quote may be used for. Defaults to 30000.
+   * @param {Integer} [_clientOpts.transferHistoryTtl] The number of milliseconds to keep settled outgoing transfers
+   *   in `getOutgoingTransfers`, and fulfilled or expired payment requests. Defaults to 600000.
+   * @param {Object} [_clientOpts.store] Where to persist outgoing transfers, incoming prepared transfers and payment
+   *   requests, so they survive a restart (e.g. a `FileStore`). They are reloaded on the first `connect`.
+   * @param {Object} [_clientOpts.balanceThresholds] Emit `balance_low`/`balance_high` when `getBalance` finds
+   *   the balance has dropped below `low` or risen above `high`, and `balance_normal` once it is back in between
+   * @param {String} [_clientOpts.balanceThresholds.low] In display units
+   * @param {String} [_clientOpts.balanceThresholds.high] In display units
+   * @param {Object|Boolean} [_clientOpts.reconnect] Reconnect with exponential backoff when the plugin fails to connect or
+   *   disconnects. `true` uses the defaults.
+   * @param {Integer} [_clientOpts.reconnect.initialDelay] Milliseconds before the first attempt. Defaults to 1000.
+   * @param {Integer} [_clientOpts.reconnect.maxDelay] Maximum milliseconds between attempts. Defaults to 60000.
+   * @param {Number} [_clientOpts.reconnect.factor] Delay multiplier per failed attempt. Defaults to 2.
+   * @param {Number} [_clientOpts.reconnect.jitter] Fraction of each delay to randomize (0 to 1). Defaults to 0.5.
    */
   constructor (pluginOpts, _clientOpts) {
     super()
@@ -40,7 +97,9 @@ class Client extends EventEmitter {
     const clientOpts = _clientOpts || {}
     this.connectors = clientOpts.connectors
     this.messageTimeout = clientOpts.messageTimeout === undefined ? 10000 : clientOpts.messageTimeout
-    this.pendingMessages = {} // { requestId ⇒ {resolve, reject, timeout} }
+    // keyed by what peers send us, so without a prototype to hit
+    this.pendingMessages = Object.create(null) // { requestId ⇒ {resolve, reject, timeout, responseMethod} }
+    this.requestHandlers = Object.create(null) // { method ⇒ Function }
 
     if (this.connectors !== undefined && !Array.isArray(this.connectors)) {
       throw new TypeError('"clientOpts.connectors" must be an Array or undefined')
@@ -48,29 +107,132 @@ class Client extends EventEmitter {
     if (typeof this.messageTimeout !== 'number') {
       throw new TypeError('"clientOpts.messageTimeout" must be a Number or undefined')
     }
+    if (clientOpts.quoteCacheTtl !== undefined && typeof clientOpts.quoteCacheTtl !== 'number') {
+      throw new TypeError('"clientOpts.quoteCacheTtl" must be a Number or undefined')
+    }
+    this.quoteCache = clientOpts.quoteCacheTtl ? new QuoteCache(clientOpts.quoteCacheTtl) : null
+    this.quoteValidity = clientOpts.quoteValidity === undefined ? DEFAULT_QUOTE_VALIDITY : clientOpts.quoteValidity
+    if (typeof this.quoteValidity !== 'number') {
+      throw new TypeError('"clientOpts.quoteValidity" must be a Number or undefined')
+    }
+    if (clientOpts.transferHistoryTtl !== undefined && typeof clientOpts.transferHistoryTtl !== 'number') {
+      throw new TypeError('"clientOpts.transferHistoryTtl" must be a Number or undefined')
+    }
+    this.balanceThresholds = validateBalanceThresholds(clientOpts.balanceThresholds)
+    this.balanceLevel = null // low | normal | high, as of the last getBalance
+    this.store = null
+    if (clientOpts.store !== undefined) this.setStore(clientOpts.store)
+    this.stateLoaded = null // Promise
+    this.storedIds = {} // { store key ⇒ Promise.<Object> } ids listed in the store, as { id ⇒ true }
+    this.storeWrites = Promise.resolve()
+    this.transferHistoryTtl = clientOpts.transferHistoryTtl === undefined
+      ? DEFAULT_TRANSFER_HISTORY_TTL : clientOpts.transferHistoryTtl
+    this.outgoingTransfers = new TransferTracker({
+      ttl: this.transferHistoryTtl,
+      onExpire: (record) => {
+        debug('outgoing transfer ' + record.id + ' expired without an outcome')
+        this.emitAsync('expired', record)
+      },
+      onChange: (id) => this._persist(STORE_KEYS.outgoingTransfers, id)
+    })
+    this.transferSends = Object.create(null) // { id ⇒ {transfer, promise} } while the tracker knows the transfer
+    this.transferWaits = new Set() // rejecters of `_awaitOutgoingTransfer` promises, for `disconnect`
+
+    this.reconnect = validateReconnect(clientOpts.reconnect)
+    this.reconnectAttempts = 0
+    this.connectionState = 'disconnected' // connecting | connected | disconnected | reconnecting
+    this.lastError = null // {message, name, timestamp}
 
     const Plugin = pluginOpts._plugin
     this.plugin = instantiated ? pluginOpts : (new Plugin(pluginOpts))
+    // getInfo and getAccount may only work once the plugin is connected
+    assertValidPlugin(this.plugin, {checkInfo: false})
     this.connecting = false
 
-    // listen for all events in both the incoming and outgoing directions
+    // transfer id -> executionCondition of incoming transfers awaiting our fulfillment
+    // (registered first so the condition is known by the time listeners see the transfer).
+    // The ids come from peers, so there's no prototype to hit.
+    this.incomingConditions = Object.create(null)
+    this.plugin.on('incoming_prepare', (transfer) => {
+      if (transfer && transfer.executionCondition) {
+        this.incomingConditions[transfer.id] = transfer.executionCondition
+        this._persist(STORE_KEYS.incomingTransfers, transfer.id)
+      }
+    })
+    for (let event of ['incoming_fulfill', 'incoming_cancel', 'incoming_reject']) {
+      this.plugin.on(event, (transfer) => {
+        if (!transfer || !this.incomingConditions[transfer.id]) return
+        delete this.incomingConditions[transfer.id]
+        this._persist(STORE_KEYS.incomingTransfers, transfer.id)
+      })
+    }
+
+    // track the outcome of our outgoing transfers
+    // (registered first so the state is up to date by the time listeners see the event)
+    this.plugin.on('outgoing_transfer', (transfer) => {
+      // optimistic transfers are done once they're executed
+      if (transfer && !transfer.executionCondition) this.outgoingTransfers.settle(transfer.id, 'fulfilled')
+    })
+    this.plugin.on('outgoing_fulfill', (transfer, fulfillment) => {
+      if (!transfer) return
+      // the ledger executed the transfer even if we can't verify the fulfillment,
+      // so it's settled either way rather than left to expire
+      const state = isMatchingFulfillment(transfer, fulfillment) ? 'fulfilled' : 'unverified'
+      this.outgoingTransfers.settle(transfer.id, state, {fulfillment})
+    })
+    this.plugin.on('outgoing_reject', (transfer, reason) => {
+      if (transfer) {
+        this.outgoingTransfers.settle(transfer.id, 'rejected', {reason: normalizeReason('reject', transfer, reason)})
+      }
+    })
+    this.plugin.on('outgoing_cancel', (transfer, reason) => {
+      if (transfer) {
+        this.outgoingTransfers.settle(transfer.id, 'cancelled', {reason: normalizeReason('cancel', transfer, reason)})
+      }
+    })
+
+    // keyed by ids from incoming packets, so without a prototype to hit
+    this.paymentRequests = Object.create(null) // { id ⇒ request }
+    this.paymentRequestTransfers = Object.create(null) // { transfer id ⇒ request id }
+    this.plugin.on('incoming_fulfill', (transfer) => this._settlePaymentRequest(transfer, 'fulfilled'))
+    this.plugin.on('incoming_cancel', (transfer) => this._settlePaymentRequest(transfer, 'pending'))
+    this.plugin.on('incoming_reject', (transfer) => this._settlePaymentRequest(transfer, 'pending'))
+
+    // listen for all events in both the incoming and outgoing directions,
+    // with reject and cancel reasons as ILP errors (see `ilpError.normalize`)
     for (let direction of ['incoming', 'outgoing']) {
       this.plugin
         .on(direction + '_transfer', (transfer) =>
           this.emitAsync(direction + '_transfer', transfer))
         .on(direction + '_prepare', (transfer) =>
           this.emitAsync(direction + '_prepare', transfer))
-        .on(direction + '_fulfill', (transfer, fulfillment) =>
-          this.emitAsync(direction + '_fulfill', transfer, fulfillment))
+        .on(direction + '_fulfill', (transfer, fulfillment) => {
+          if (direction === 'outgoing' && !isMatchingFulfillment(transfer, fulfillment)) {
+            debug('ignoring fulfillment that does not match the condition of transfer ' + transfer.id)
+            return this.emitAsync('invalid_fulfillment', transfer, fulfillment)
+          }
+          return this.emitAsync(direction + '_fulfill', transfer, fulfillment)
+        })
         .on(direction + '_cancel', (transfer, reason) =>
-          this.emitAsync(direction + '_cancel', transfer, reason))
+          this.emitAsync(direction + '_cancel', transfer, normalizeReason('cancel', transfer, reason)))
         .on(direction + '_reject', (transfer, reason) =>
-          this.emitAsync(direction + '_reject', transfer, reason))
+          this.emitAsync(direction + '_reject', transfer, normalizeReason('reject', transfer, reason)))
     }
+    // decode the ILP payment packet of incoming transfers for receivers
+    this.plugin.on('incoming_prepare', this._onIncomingTransfer.bind(this))
+    this.plugin.on('incoming_transfer', this._onIncomingTransfer.bind(this))
+    // a rejected payment means the connector's quote may no longer hold
+    this.plugin.on('outgoing_reject', (transfer) => {
+      if (this.quoteCache && transfer) this.quoteCache.invalidateConnector(transfer.account)
+    })
+    this.plugin.on('connect', () => this._setConnectionState('connected'))
+    this.plugin.on('disconnect', this._onPluginDisconnect.bind(this))
     this.plugin.on('incoming_message', (message) =>
       this.emitAsync('incoming_message', message))
     this.plugin.on('incoming_message', this._onIncomingMessage.bind(this))
 
+    this.memoCodecs = new MemoCodecs()
+
     this._extensions = {}
   }
 
@@ -78,17 +240,190 @@ class Client extends EventEmitter {
     return this.plugin
   }
 
+  /**
+   * Fulfill an incoming transfer's condition. If we saw the transfer being
+   * prepared, the fulfillment is checked against its condition first.
+   *
+   * @param {String} transferId
+   * @param {String} fulfillment
+   * @returns {Promise} Rejects with InvalidFulfillmentError if the fulfillment is malformed or doesn't match
+   */
   fulfillCondition (transferId, fulfillment) {
+    try {
+      condition.validateFulfillment(fulfillment)
+    } catch (err) {
+      err.transferId = transferId
+      return Promise.reject(err)
+    }
+    const executionCondition = this.incomingConditions[transferId]
+    if (executionCondition && !condition.verifyFulfillment(fulfillment, executionCondition)) {
+      return Promise.reject(new errors.InvalidFulfillmentError(
+        'Fulfillment does not match the condition of transfer ' + transferId,
+        {fulfillment, condition: executionCondition, transferId}))
+    }
     return this.plugin.fulfillCondition(transferId, fulfillment)
   }
 
+  /**
+   * Reject an incoming transfer with a well-formed ILP error as the reason.
+   *
+   * @param {String} transferId
+   * @param {Object} reason
+   * @param {String} reason.code ILP error code, e.g. "F02" (see `ilpError`)
+   * @param {String} [reason.message]
+   * @param {String} [reason.name] Defaults to the standard name for the code
+   * @param {Object} [reason.data] Additional information for the sender
+   * @returns {Promise.<Object>} The ILP error the transfer was rejected with
+   */
+  rejectIncomingTransfer (transferId, reason) {
+    let error
+    try {
+      error = ilpError.create(Object.assign({}, reason, {triggeredBy: this.plugin.getAccount()}))
+    } catch (err) {
+      return Promise.reject(err)
+    }
+    debug('rejecting transfer ' + transferId + ': ' + error.code + ' ' + error.message)
+    return Promise.resolve(this.plugin.rejectIncomingTransfer(transferId, ilpError.toLedgerReason(error)))
+      .then(() => error)
+  }
+
+  /**
+   * Create a receiver that fulfills incoming payments for the payment
+   * requests it generates. The receiver starts listening right away.
+   *
+   * @param {Object} opts See `Receiver`
+   * @param {Buffer} opts.secret At least 32 random bytes
+   * @param {Number} [opts.requestExpiryDuration] Default number of seconds a payment request is valid for
+   * @returns {Receiver}
+   */
+  createReceiver (opts) {
+    const receiver = new Receiver(this, opts)
+    receiver.listen()
+    return receiver
+  }
+
+  /**
+   * Convert an amount in display units (e.g. "1.23") into this ledger's base units (e.g. "123").
+   * @param {String|Number} amount
+   * @param {Integer} [roundingMode] A BigNumber rounding mode. Defaults to BigNumber.ROUND_DOWN.
+   * @returns {String}
+   */
+  toBaseUnits (amount, roundingMode) {
+    return toBaseUnits(amount, this._getScale(), roundingMode)
+  }
+
+  /**
+   * Convert an amount in this ledger's base units (e.g. "123") into display units (e.g. "1.23").
+   * @param {String|Number} amount
+   * @returns {String}
+   */
+  fromBaseUnits (amount) {
+    return fromBaseUnits(amount, this._getScale())
+  }
+
+  /**
+   * Get the plugin's balance, normalized to the ledger's scale. May emit
+   * `balance_low`, `balance_high` or `balance_normal` (see `clientOpts.balanceThresholds`).
+   * @returns {Promise.<Object>} {prefix, balance, baseBalance, scale}, where `balance` is in display
+   *   units with exactly `scale` decimal places (e.g. "12.30") and `baseBalance` in base units (e.g. "1230")
+   */
+  getBalance () {
+    return Promise.resolve(this.plugin.getBalance()).then((balance) => {
+      const scale = this._getScale()
+      const result = {
+        prefix: this.plugin.getInfo().prefix,
+        balance: (new BigNumber(balance)).toFixed(scale, BigNumber.ROUND_DOWN),
+        baseBalance: toBaseUnits(balance, scale),
+        scale
+      }
+      this._checkBalanceThresholds(result)
+      return result
+    }, (err) => {
+      err = this._toPluginError(err)
+      this._recordError(err)
+      throw err
+    })
+  }
+
+  _checkBalanceThresholds (result) {
+    const low = this.balanceThresholds.low
+    const high = this.balanceThresholds.high
+    const balance = new BigNumber(result.balance)
+    const level = (low !== undefined && balance.lessThan(low)) ? 'low'
+      : (high !== undefined && balance.greaterThan(high)) ? 'high' : 'normal'
+    const previous = this.balanceLevel
+    this.balanceLevel = level
+    // The first reading only counts as a crossing if it is out of bounds
+    if (level === previous || (level === 'normal' && previous === null)) return
+    debug('balance ' + result.balance + ' is ' + level)
+    // A failing listener is the application's problem, not getBalance's
+    const logError = (err) => debug('balance_' + level + ' listener failed: ' + err.message)
+    try {
+      this.emitAsync('balance_' + level, result).catch(logError)
+    } catch (err) {
+      logError(err)
+    }
+  }
+
+  /**
+   * Connect the plugin. With `clientOpts.reconnect`, a failed attempt is
+   * retried in the background (the returned promise still rejects) until
+   * the plugin connects or `disconnect` is called.
+   *
+   * Emits `connection_state` with the new state ("connecting", "connected",
+   * "disconnected" or "reconnecting") whenever it changes.
+   *
+   * @param {Object} [options] Passed on to `plugin.connect`
+   * @returns {Promise}
+   */
   connect (options) {
     this.connecting = true
-    return this.plugin.connect(options)
+    this.connectOptions = options
+    this.outgoingTransfers.startTimers()
+    this._setConnectionState('connecting')
+    // reload persisted state before any plugin events can refer to it
+    const connected = this.store
+      ? this._loadState().then(() => this.plugin.connect(options))
+      : Promise.resolve(this.plugin.connect(options))
+    return connected.then((result) => {
+      // plugins may only know their info and account once connected, so those are checked now
+      try {
+        assertValidPlugin(this.plugin)
+      } catch (err) {
+        debug('plugin does not conform once connected: ' + err.message)
+        this._recordError(err)
+        const fail = () => { throw err }
+        return Promise.resolve(this.disconnect()).then(fail, fail)
+      }
+      this.reconnectAttempts = 0
+      this._setConnectionState('connected')
+      return result
+    }, (err) => {
+      debug('connect failed: ' + err.message)
+      this._recordError(err)
+      this._setConnectionState('disconnected')
+      this._scheduleReconnect()
+      throw err
+    })
   }
 
+  /**
+   * Disconnect the plugin. Promises waiting for the outcome of an outgoing
+   * transfer (e.g. from `sendPayment`) are rejected, and tracked transfers
+   * are not watched for expiry until the next `connect`.
+   * @returns {Promise}
+   */
   disconnect () {
     this.connecting = false
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = null
+    this.reconnectAttempts = 0
+    if (this.quoteCache) this.quoteCache.clear()
+    this.outgoingTransfers.stopTimers()
+    for (const rejectWait of this.transferWaits) {
+      rejectWait(new errors.DisconnectedError('Disconnected before an outcome was received'))
+    }
+    this._setConnectionState('disconnected')
     return this.plugin.disconnect()
   }
 
@@ -99,24 +434,101 @@ class Client extends EventEmitter {
    * @param  {String} params.destinationAddress Recipient's ledger
    * @param  {Number} [params.destinationExpiryDuration] Number of seconds between when the destination transfer is proposed and when it expires.
    * @param  {String[]} [params.connectors] List of connectors to get the quotes from
-   * @return {Object} Object including the amount that was not specified
+   * @param  {String|Function} [params.select] Name of a quote selector (see `quoteSelectors`) or a comparator for `quoteAll` results.
+   *   Defaults to "cheapestSource" for fixed destination amounts and "bestDestination" for fixed source amounts.
+   * @param  {Boolean} [params.skipCache] Don't use a cached quote, even if the quote cache is enabled
+   * @param  {String|Number} [params.slippage] Tolerated exchange rate movement as a fraction (e.g. 0.01 for 1%). The quote then includes
+   *   `minDestinationAmount` (for a fixed sourceAmount) or `maxSourceAmount` (for a fixed destinationAmount).
+   *   `minDestinationAmount` is rounded up to the precision of the quoted destinationAmount.
+   * @param  {String} [params.amountUnits] "display" (default) or "base". With "base", amounts are given and returned
+   *   as integers in the ledgers' base units. Source amounts returned are rounded up, destination amounts down.
+   * @param  {Integer} [params.destinationScale] Scale of the destination ledger (required for "base" units with a remote destinationAmount)
+   * @param  {String|Object} [params.paymentRequest] Quote paying this request (see `createPaymentRequest`) instead of
+   *   passing destinationAddress and destinationAmount
+   * @param  {Boolean} [params.reportFailures] Reject with a `NoQuoteError` listing why each connector failed,
+   *   instead of resolving with undefined, if no connector quotes
+   * @return {Object} Object including the amount that was not specified, plus `quotedAt` and `quoteExpiresAt`
+   *   timestamps for remote quotes. The quote expires after `clientOpts.quoteValidity`, or earlier if the connector says so.
    */
   quote (params) {
+    const _this = this
+    return co(function * () {
+      params = applyPaymentRequest(params, 'destinationAddress')
+      if (isBaseUnits(params)) {
+        const destination = {address: params.destinationAddress, scale: params.destinationScale}
+        const quote = yield _this.quote(_this._convertAmounts(params, destination, fromBaseUnits))
+        return quote && _this._convertAmounts(quote, destination, toBaseUnits)
+      }
+
+      validateAmountSpecified(params)
+      _this._validateQuoteAmounts(params)
+      validateSlippage(params.slippage)
+      const compare = getSelector(params)
+      // Same-ledger payment
+      if (_this._isLocal(params)) {
+        return _this._getLocalQuote(params)
+      }
+
+      // a custom comparator can't be part of the key, so those quotes aren't cached
+      const cacheKey = _this.quoteCache && typeof params.select !== 'function' && QuoteCache.getKey(params)
+      if (cacheKey && !params.skipCache) {
+        const cachedQuote = _this.quoteCache.get(cacheKey)
+        if (cachedQuote) {
+          debug('using cached quote:', cachedQuote)
+          return cachedQuote
+        }
+      }
+
+      const results = yield _this.quoteAll(params)
+      const quotes = results.filter((quote) => !quote.error)
+      if (quotes.length === 0) {
+        if (params.reportFailures) throw makeNoQuoteError(params.destinationAddress, results)
+        return
+      }
+      const bestQuote = quotes.reduce((best, quote) => compare(quote, best) < 0 ? quote : best)
+      debug('got best quote from connector:', bestQuote)
+      const now = Date.now()
+      const quoteExpiresAt = Math.min(now + _this.quoteValidity,
+        bestQuote.expiresAt ? Date.parse(bestQuote.expiresAt) : Infinity)
+      const quote = omitUndefined(Object.assign({
+        sourceAmount: bestQuote.sourceAmount,
+        destinationAmount: bestQuote.destinationAmount,
+        connectorAccount: bestQuote.connectorAccount,
+        sourceExpiryDuration: bestQuote.sourceExpiryDuration
+      }, _this._getSlippageBounds(params, bestQuote), {
+        quotedAt: (new Date(now)).toISOString(),
+        quoteExpiresAt: (new Date(quoteExpiresAt)).toISOString()
+      }))
+      if (cacheKey) _this.quoteCache.set(cacheKey, quote, quote.quoteExpiresAt)
+      return quote
+    })
+  }
+
+  /**
+   * Get quotes from every connector
+   * @param  {Object} params Same as for `quote`
+   * @return {Promise.<Object[]>} One entry per connector, with either the quote or the `error` that prevented it
+   *   (e.g. a `QuoteTimeoutError` or `RemoteQuoteError`):
+   *   {connector, connectorAccount, sourceAmount, destinationAmount, sourceExpiryDuration,
+   *    destinationExpiryDuration, expiresAt, latency, error}
+   *   With "base" amountUnits, the amounts are in base units.
+   */
+  quoteAll (params) {
     const plugin = this.plugin
     const _this = this
     return co(function * () {
-      if (params.sourceAmount ? params.destinationAmount : !params.destinationAmount) {
-        throw new Error('Should provide source or destination amount but not both')
+      params = applyPaymentRequest(params, 'destinationAddress')
+      if (isBaseUnits(params)) {
+        const destination = {address: params.destinationAddress, scale: params.destinationScale}
+        const results = yield _this.quoteAll(_this._convertAmounts(params, destination, fromBaseUnits))
+        return results.map((result) => _this._convertAmounts(result, destination, toBaseUnits))
       }
-      const prefix = plugin.getInfo().prefix
+
+      validateAmountSpecified(params)
+      _this._validateQuoteAmounts(params)
       // Same-ledger payment
-      if (startsWith(prefix, params.destinationAddress)) {
-        const amount = params.sourceAmount || params.destinationAmount
-        return omitUndefined({
-          sourceAmount: amount,
-          destinationAmount: amount,
-          sourceExpiryDuration: params.destinationExpiryDuration
-        })
+      if (_this._isLocal(params)) {
+        return [_this._getLocalQuote(params)]
       }
 
       const quoteQuery = omitUndefined({
@@ -129,18 +541,7 @@ class Client extends EventEmitter {
       debug('constructed quote query: ' + JSON.stringify(quoteQuery))
       const connectors = params.connectors || (yield _this.getConnectors())
       debug('sending quote to connectors: ', connectors)
-      const quotes = (yield connectors.map((connector) => {
-        return _this._getQuote(connector, quoteQuery)
-      })).filter(notUndefined)
-      if (quotes.length === 0) return
-      const bestQuote = quotes.reduce(getCheaperQuote)
-      debug('got best quote from connector:', bestQuote)
-      return omitUndefined({
-        sourceAmount: bestQuote.source_amount,
-        destinationAmount: bestQuote.destination_amount,
-        connectorAccount: bestQuote.source_connector_account,
-        sourceExpiryDuration: bestQuote.source_expiry_duration
-      })
+      return yield connectors.map((connector) => _this._getConnectorQuote(connector, quoteQuery))
     })
   }
 
@@ -150,52 +551,137 @@ class Client extends EventEmitter {
    * @param  {String} params.destinationAmount Amount recipient will receive
    * @param  {String} params.destinationAccount Recipient's account
    * @param  {String} params.connectorAccount First connector's account on the source ledger (from the quote)
-   * @param  {Object} params.destinationMemo Memo for the recipient to be included with the payment
-   * @param  {String} params.expiresAt Payment expiry timestamp
+   * @param  {*} params.destinationMemo Memo for the recipient to be included with the payment
+   * @param  {String} [params.memoCodec] How to encode the memo (see `registerMemoCodec`). Defaults to "binary" for Buffers and "json" otherwise.
+   * @param  {String} [params.expiresAt] Payment expiry timestamp. Defaults to sourceExpiryDuration (from the quote) from now.
+   * @param  {String|Number} [params.sourceExpiryDuration] Number of seconds the source transfer is valid for (from the quote)
+   * @param  {String} [params.quoteExpiresAt] When the quote expires (from the quote). Stale quotes are rejected.
+   * @param  {Boolean} [params.requoteIfStale] Get a new quote (keeping destinationAmount fixed) instead of rejecting a stale quote.
    * @param  {String} params.executionCondition Crypto condition
-   * @param  {String} [params.uuid] Unique identifier for the transfer.
+   * @param  {String} [params.uuid] Unique identifier for the transfer. Sending the same payment again with the
+   *   same uuid (e.g. when retrying after a network error) returns the original result instead of sending a
+   *   second transfer, as long as the transfer is tracked (see `getOutgoingTransfer`). Reusing it for a
+   *   different payment rejects with a `TransferConflictError`.
+   * @param  {String} [params.minDestinationAmount] Lowest amount the recipient may receive (from a quote with slippage).
+   *   The ILP packet carries this amount (rounded down to an integer, as are all packet amounts), and the
+   *   payment fails if the quoted destinationAmount is below it.
+   * @param  {String} [params.maxSourceAmount] Highest amount to send (from a quote with slippage).
+   *   The transfer is padded up to this amount, and the payment fails if the quoted sourceAmount is above it.
+   * @param  {String} [params.amountUnits] "display" (default) or "base" (see `quote`)
+   * @param  {Integer} [params.destinationScale] Scale of the destination ledger (required for "base" units with a remote destination)
+   * @param  {String|Object} [params.paymentRequest] Request to pay. Sets destinationAccount, destinationAmount,
+   *   executionCondition and destinationMemo. Expired requests are rejected.
    * @return {Promise.<Object>} Resolves when the payment has been submitted to the plugin
    */
   sendQuotedPayment (params) {
+    return this._sendQuotedPayment(params)
+  }
+
+  /**
+   * @param {Object} params See `sendQuotedPayment`
+   * @param {Object} [payment] What `sendPayment` was asked to send, recorded with the transfer
+   *   so retries can be checked against it
+   * @returns {Promise.<Object>}
+   */
+  _sendQuotedPayment (params, payment) {
+    try {
+      params = applyPaymentRequest(params, 'destinationAccount')
+      if (isBaseUnits(params)) {
+        params = this._convertAmounts(params, {
+          address: params.destinationAccount,
+          scale: params.destinationScale
+        }, fromBaseUnits)
+      }
+    } catch (err) {
+      return Promise.reject(err)
+    }
+
+    if (params.quoteExpiresAt && Date.parse(params.quoteExpiresAt) <= Date.now()) {
+      if (!params.requoteIfStale) {
+        return Promise.reject(new errors.QuoteExpiredError('Quote expired at ' + params.quoteExpiresAt,
+          {quoteExpiresAt: params.quoteExpiresAt}))
+      }
+      return this._requote(params).then((quoteParams) => this._sendQuotedPayment(quoteParams, payment))
+    }
+
+    if (!params.expiresAt && params.sourceExpiryDuration) {
+      params = Object.assign({}, params, {expiresAt: getExpiresAt(params.sourceExpiryDuration)})
+    }
+
     if (!params.executionCondition && !params.unsafeOptimisticTransport) {
-      return Promise.reject(new Error('executionCondition must be provided unless unsafeOptimisticTransport is true'))
+      return Promise.reject(new errors.InvalidArgumentError(
+        'executionCondition must be provided unless unsafeOptimisticTransport is true', {field: 'executionCondition'}))
     }
 
     if (params.executionCondition && !params.expiresAt) {
-      return Promise.reject(new Error('executionCondition should not be used without expiresAt'))
+      return Promise.reject(new errors.InvalidArgumentError(
+        'executionCondition should not be used without expiresAt', {field: 'expiresAt'}))
+    }
+
+    if (params.executionCondition) {
+      try {
+        condition.validateCondition(params.executionCondition)
+      } catch (err) {
+        return Promise.reject(err)
+      }
     }
 
     if (!params.sourceAmount) {
-      return Promise.reject(new Error('sourceAmount must be provided'))
+      return Promise.reject(new errors.InvalidArgumentError('sourceAmount must be provided', {field: 'sourceAmount'}))
     }
     if (!params.destinationAmount) {
-      return Promise.reject(new Error('destinationAmount must be provided'))
+      return Promise.reject(new errors.InvalidArgumentError('destinationAmount must be provided', {field: 'destinationAmount'}))
     }
     if (!params.destinationAccount) {
-      return Promise.reject(new Error('destinationAccount must be provided'))
+      return Promise.reject(new errors.InvalidArgumentError('destinationAccount must be provided', {field: 'destinationAccount'}))
+    }
+    const remote = !!params.connectorAccount
+    try {
+      this._validatePaymentAmounts(params, remote)
+    } catch (err) {
+      return Promise.reject(err)
+    }
+    if (remote && params.minDestinationAmount &&
+        (new BigNumber(params.destinationAmount)).lessThan(params.minDestinationAmount)) {
+      return Promise.reject(new errors.SlippageError(
+        'destinationAmount is below minDestinationAmount; the quote has moved beyond the slippage tolerance',
+        {field: 'destinationAmount', amount: params.destinationAmount, limit: params.minDestinationAmount}))
+    }
+    if (remote && params.maxSourceAmount &&
+        (new BigNumber(params.sourceAmount)).greaterThan(params.maxSourceAmount)) {
+      return Promise.reject(new errors.SlippageError(
+        'sourceAmount is above maxSourceAmount; the quote has moved beyond the slippage tolerance',
+        {field: 'sourceAmount', amount: params.sourceAmount, limit: params.maxSourceAmount}))
     }
 
-    const ilpPayment = packet.serializeIlpPayment({
+    let memoData
+    try {
+      memoData = this.memoCodecs.encode(params.destinationMemo, params.memoCodec)
+    } catch (err) {
+      return Promise.reject(err)
+    }
+    const ilpPacket = packet.serializeIlpPayment({
       account: params.destinationAccount,
-      amount: params.destinationAmount,
-      data: Client._stringifyPacketData(params.destinationMemo)
+      amount: toPacketAmount((remote && params.minDestinationAmount) || params.destinationAmount),
+      data: memoData
     }).toString('base64')
     const prefix = this.plugin.getInfo().prefix
 
     // Same-ledger payment
-    if (!params.connectorAccount) {
+    if (!remote) {
       if (params.sourceAmount !== params.destinationAmount) {
-        return Promise.reject(new Error('sourceAmount and destinationAmount must be equivalent for local transfers'))
+        return Promise.reject(new errors.InvalidArgumentError(
+          'sourceAmount and destinationAmount must be equivalent for local transfers', {field: 'destinationAmount'}))
       }
-      return this.plugin.sendTransfer(omitUndefined({
+      return this._sendTransfer(omitUndefined({
         id: params.uuid || uuid.v4(),
         account: params.destinationAccount,
         ledger: prefix,
         amount: params.sourceAmount,
-        ilp: ilpPayment,
+        ilp: ilpPacket,
         executionCondition: params.executionCondition,
         expiresAt: params.expiresAt
-      }))
+      }), payment && {payment})
     }
 
     // TODO throw errors if other fields are not specified
@@ -204,13 +690,238 @@ class Client extends EventEmitter {
       id: params.uuid || uuid.v4(),
       account: params.connectorAccount,
       ledger: prefix,
-      amount: params.sourceAmount,
-      ilp: ilpPayment,
+      amount: params.maxSourceAmount || params.sourceAmount,
+      ilp: ilpPacket,
       executionCondition: params.executionCondition,
       expiresAt: params.expiresAt
     })
 
-    return this.plugin.sendTransfer(transfer)
+    return this._sendTransfer(transfer, payment && {payment})
+  }
+
+  /**
+   * @param {Object} transfer
+   * @param {Object} [fields] More to record in the tracker (see `TransferTracker#add`)
+   * @returns {Promise}
+   */
+  _sendTransfer (transfer, fields) {
+    for (const id of Object.keys(this.transferSends)) {
+      if (!this.outgoingTransfers.get(id)) delete this.transferSends[id]
+    }
+    const record = this.outgoingTransfers.get(transfer.id)
+    if (record) {
+      // A repeat of a transfer we already sent. Without the original (e.g.
+      // after a restart), compare what the tracker recorded.
+      const sent = this.transferSends[transfer.id]
+      const fields = sent ? ['account', 'ledger', 'amount', 'ilp', 'executionCondition']
+        : ['account', 'amount', 'executionCondition']
+      const original = sent ? sent.transfer : record
+      if (fields.some((field) => original[field] !== transfer[field])) {
+        return Promise.reject(new errors.TransferConflictError(
+          'A different transfer was already sent with id: ' + transfer.id, {transferId: transfer.id}))
+      }
+      debug('transfer ' + transfer.id + ' was already sent')
+      return sent ? sent.promise : Promise.resolve(null)
+    }
+
+    // track it before sending, in case the plugin reports the outcome right away
+    this.outgoingTransfers.add(transfer, fields)
+    const promise = Promise.resolve(this.plugin.sendTransfer(transfer)).catch((err) => {
+      err = this._toPluginError(err)
+      // forget it, so it can be retried
+      delete this.transferSends[transfer.id]
+      this.outgoingTransfers.remove(transfer.id)
+      this._recordError(err)
+      throw err
+    })
+    this.transferSends[transfer.id] = {transfer, promise}
+    return promise
+  }
+
+  /**
+   * Quote, send and await the outcome of a payment
+   * @param  {String} [params.sourceAmount] Either the sourceAmount or destinationAmount must be specified
+   * @param  {String} [params.destinationAmount] Either the sourceAmount or destinationAmount must be specified
+   * @param  {String} params.destinationAccount Recipient's account
+   * @param  {*} [params.destinationMemo] Memo for the recipient to be included with the payment
+   * @param  {String} [params.memoCodec] How to encode the memo (see `sendQuotedPayment`)
+   * @param  {Number} [params.destinationExpiryDuration] Number of seconds between when the destination transfer is proposed and when it expires.
+   * @param  {String} [params.expiresAt] Payment expiry timestamp (defaults to the quote's sourceExpiryDuration from now)
+   * @param  {String} params.executionCondition Crypto condition
+   * @param  {String[]} [params.connectors] List of connectors to get the quotes from
+   * @param  {String|Number} [params.slippage] Tolerated exchange rate movement (see `quote`)
+   * @param  {String} [params.uuid] Unique identifier for the transfer. Retrying with the same uuid while the
+   *   transfer is tracked (see `getOutgoingTransfer`) doesn't quote or send again, but settles with the
+   *   transfer's outcome. Reusing it with a different destinationAccount, amount or executionCondition, or for a
+   *   transfer sent with `sendQuotedPayment`, rejects with a `TransferConflictError`.
+   * @param  {String|Object} [params.paymentRequest] Request to pay (see `sendQuotedPayment`)
+   * @return {Promise.<String|null>} Resolves with the fulfillment, rejects if the transfer is rejected, cancelled or expires
+   */
+  sendPayment (params) {
+    const _this = this
+    return co(function * () {
+      params = applyPaymentRequest(params, 'destinationAccount')
+      const payment = omitUndefined({
+        destinationAccount: params.destinationAccount,
+        sourceAmount: params.sourceAmount,
+        destinationAmount: params.destinationAmount,
+        amountUnits: params.amountUnits
+      })
+      // A retry of a transfer we already sent. It's not quoted again, since a
+      // moved rate would make it look like a different payment.
+      const record = params.uuid && _this.outgoingTransfers.get(params.uuid)
+      if (record) {
+        if (record.executionCondition !== params.executionCondition || !isSamePayment(record.payment, payment)) {
+          throw new errors.TransferConflictError(
+            'A different transfer was already sent with id: ' + record.id, {transferId: record.id})
+        }
+        debug('transfer ' + record.id + ' was already sent')
+        return yield _this._getOutgoingOutcome(record, params.unsafeOptimisticTransport)
+      }
+
+      const quote = yield _this.quote(omitUndefined({
+        sourceAmount: params.sourceAmount,
+        destinationAmount: params.destinationAmount,
+        destinationAddress: params.destinationAccount,
+        destinationExpiryDuration: params.destinationExpiryDuration,
+        connectors: params.connectors,
+        slippage: params.slippage,
+        amountUnits: params.amountUnits,
+        destinationScale: params.destinationScale,
+        reportFailures: true
+      }))
+      if (!quote) throw makeNoQuoteError(params.destinationAccount, [])
+      debug('sending payment with quote: ' + JSON.stringify(quote))
+
+      const id = params.uuid || uuid.v4()
+      const expiresAt = params.expiresAt ||
+        getExpiresAt(quote.sourceExpiryDuration || DEFAULT_EXPIRY_DURATION)
+      const outcome = _this._awaitOutgoingTransfer(id, expiresAt, params.unsafeOptimisticTransport)
+      try {
+        // Bounds passed by the caller (e.g. from an earlier quote) take precedence over the fresh quote's
+        const bounds = omitUndefined({
+          minDestinationAmount: params.minDestinationAmount,
+          maxSourceAmount: params.maxSourceAmount
+        })
+        yield _this._sendQuotedPayment(Object.assign({}, params, quote, bounds, {uuid: id, expiresAt}), payment)
+      } catch (err) {
+        outcome.cancel()
+        throw err
+      }
+      return yield outcome.promise
+    })
+  }
+
+  /**
+   * Send a large amount as several payments ("chunks"), each small enough for
+   * the connector it goes through.
+   *
+   * The connectors are first quoted for `probeAmount` to learn their liquidity
+   * curves. Each chunk is then sized to fit its connector's curve (see
+   * `chunkedPayment.planChunks`), and quoted, sent and awaited like
+   * `sendPayment`. Once a chunk fails, no further chunks are started.
+   *
+   * @param {Object} params
+   * @param {String} params.sourceAmount Total amount to send
+   * @param {String} params.destinationAccount Recipient's account
+   * @param {Function} params.executionCondition chunk ⇒ String. Each chunk needs its own condition.
+   * @param {Boolean} [params.unsafeOptimisticTransport] Send the chunks without conditions instead
+   * @param {*} [params.destinationMemo] Memo included with every chunk
+   * @param {String} [params.memoCodec] How to encode the memo (see `sendQuotedPayment`)
+   * @param {Number} [params.destinationExpiryDuration]
+   * @param {String[]} [params.connectors] Connectors to use (defaults to `getConnectors()`)
+   * @param {String|Number} [params.slippage] Tolerated exchange rate movement for each chunk (see `quote`)
+   * @param {String} [params.maxChunkAmount] Upper bound for each chunk. Connectors that don't
+   *   report a liquidity curve are only used if this is set.
+   * @param {Integer} [params.maxChunks] Refuse payments that would need more chunks (default 100)
+   * @param {Integer} [params.concurrency] Maximum number of chunks in flight (default 4)
+   * @param {String} [params.probeAmount] Source amount to quote the connectors for (defaults to one base unit)
+   * @param {Function} [params.onProgress] Called with `{sourceAmount, fulfilledAmount, failedAmount,
+   *   pendingAmount, chunks}` whenever a chunk is started or settles. Errors it throws are ignored.
+   * @returns {Promise.<Object>} {sourceAmount, fulfilledAmount, failedAmount, chunks}. Each chunk has an
+   *   `index`, `connector`, `sourceAmount` and `state` ("fulfilled" with a `fulfillment`, "failed" with
+   *   an `error`, or "skipped"). If any chunk fails, rejects with a `PartialPaymentError` whose
+   *   `result` has this form.
+   */
+  sendChunkedPayment (params) {
+    const _this = this
+    return co(function * () {
+      if (!params.sourceAmount) {
+        throw new errors.InvalidArgumentError('sourceAmount must be provided', {field: 'sourceAmount'})
+      }
+      if (typeof params.executionCondition !== 'function' && !params.unsafeOptimisticTransport) {
+        throw new errors.InvalidArgumentError('executionCondition must be a function returning a condition for each chunk',
+          {field: 'executionCondition'})
+      }
+      const concurrency = params.concurrency === undefined ? DEFAULT_CHUNK_CONCURRENCY : params.concurrency
+      if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+        throw new TypeError('concurrency must be a positive integer')
+      }
+      const info = _this.plugin.getInfo()
+      const scale = _this._getScale()
+      validateAmount('sourceAmount', params.sourceAmount, info)
+      if (params.maxChunkAmount) validateAmount('maxChunkAmount', params.maxChunkAmount, info)
+
+      const query = omitUndefined({
+        sourceAmount: params.probeAmount || (new BigNumber(1)).shift(-scale).toString(),
+        destinationAddress: params.destinationAccount,
+        destinationExpiryDuration: params.destinationExpiryDuration,
+        connectors: params.connectors
+      })
+      const local = _this._isLocal(query)
+      const quotes = local
+        ? [{sourceAmount: '1', destinationAmount: '1'}]
+        : (yield _this.quoteAll(query)).filter((quote) => !quote.error)
+      if (quotes.length === 0) {
+        throw new Error('No quotes available for chunked payment')
+      }
+      const chunks = chunkedPayment.planChunks(quotes, params.sourceAmount, {
+        scale,
+        maxChunkAmount: params.maxChunkAmount || (local ? params.sourceAmount : undefined),
+        maxChunks: params.maxChunks
+      })
+      debug('sending chunked payment: ' + JSON.stringify(chunks))
+
+      const result = yield chunkedPayment.sendChunks(chunks, (chunk) => _this.sendPayment(omitUndefined({
+        sourceAmount: chunk.sourceAmount,
+        destinationAccount: params.destinationAccount,
+        destinationMemo: params.destinationMemo,
+        memoCodec: params.memoCodec,
+        destinationExpiryDuration: params.destinationExpiryDuration,
+        connectors: chunk.connector && [chunk.connector],
+        slippage: params.slippage,
+        executionCondition: params.executionCondition && params.executionCondition(chunk),
+        unsafeOptimisticTransport: params.unsafeOptimisticTransport
+      })), {concurrency, onProgress: params.onProgress})
+
+      const failed = result.chunks.filter((chunk) => chunk.state === 'failed')
+      if (failed.length) {
+        throw new errors.PartialPaymentError(failed.length + ' of ' + chunks.length +
+          ' chunks failed, sent ' + result.fulfilledAmount + ' of ' + result.sourceAmount +
+          ': ' + failed[0].error.message, result)
+      }
+      return result
+    })
+  }
+
+  /**
+   * @param {String} transferId
+   * @returns {Object|undefined} {id, account, amount, executionCondition, expiresAt, state, preparedAt, settledAt,
+   *   fulfillment, reason} for one of our outgoing transfers. `state` is "prepared", "fulfilled", "unverified"
+   *   (executed with a fulfillment that doesn't match the condition), "rejected", "cancelled" or "expired".
+   *   `reason` is the ILP error a rejected or cancelled transfer settled with.
+   */
+  getOutgoingTransfer (transferId) {
+    return this.outgoingTransfers.get(transferId)
+  }
+
+  /**
+   * @param {String} [state] Only return transfers in this state
+   * @returns {Object[]} Our outgoing transfers (see `getOutgoingTransfer`)
+   */
+  getOutgoingTransfers (state) {
+    return this.outgoingTransfers.list()
+      .filter((record) => !state || record.state === state)
   }
 
   /**
@@ -224,33 +935,689 @@ class Client extends EventEmitter {
     return Promise.resolve(connectorAddresses)
   }
 
-  _getQuote (connectorAddress, quoteQuery) {
-    debug('remote quote connector=' + connectorAddress + ' query=' + JSON.stringify(quoteQuery))
-    const prefix = this.plugin.getInfo().prefix
+  /**
+   * Send a request message to a peer and wait for its response.
+   *
+   * The response is expected to use the method name with "_request"
+   * replaced by "_response" (e.g. "quote_request" ⇒ "quote_response").
+   * An "error" response rejects with the error's message.
+   *
+   * @param {IlpAddress} to Peer's account on this ledger
+   * @param {String} method
+   * @param {Object} [data]
+   * @returns {Promise.<Object>} The response message
+   */
+  sendRequest (to, method, data) {
     return this._sendAndReceiveMessage({
-      ledger: prefix,
+      ledger: this.plugin.getInfo().prefix,
       from: this.plugin.getAccount(),
-      to: connectorAddress,
-      data: {
-        method: 'quote_request',
-        data: quoteQuery
+      to: to,
+      data: {method, data}
+    })
+  }
+
+  /**
+   * Register a handler for incoming request messages. The value the handler
+   * returns (or resolves to) is sent back as the response's data; if it
+   * throws (or rejects), an "error" message is sent instead.
+   *
+   * @param {String} method e.g. "quote_request"
+   * @param {Function} handler (data, message) ⇒ Promise.<Object>|Object
+   */
+  registerRequestHandler (method, handler) {
+    if (typeof handler !== 'function') {
+      throw new TypeError('handler must be a function')
+    }
+    if (this.requestHandlers[method]) {
+      throw new Error('A handler is already registered for method: ' + method)
+    }
+    this.requestHandlers[method] = handler
+  }
+
+  /**
+   * @param {String} method
+   */
+  unregisterRequestHandler (method) {
+    delete this.requestHandlers[method]
+  }
+
+  /**
+   * Create a request for an incoming payment. The Client matches incoming
+   * prepared transfers to it by address and condition, and tracks its status:
+   * "pending" until a transfer for at least the amount is prepared, then
+   * "prepared", and "fulfilled" once that transfer is fulfilled. If the
+   * transfer is cancelled or rejected, the request is pending again, or
+   * "expired" if it expired in the meantime. `payment_request_status` is
+   * emitted with the request on every change.
+   *
+   * Requests are kept until they are removed with `removePaymentRequest`, or
+   * until `clientOpts.transferHistoryTtl` after they were fulfilled or expired.
+   *
+   * @param {Object} params
+   * @param {String} params.amount Amount to receive
+   * @param {String} params.executionCondition Condition the sender must use
+   * @param {String} [params.expiresAt] Defaults to 60 seconds from now
+   * @param {*} [params.memo] JSON-serializable memo the sender should include
+   * @param {String} [params.id] Request id, which is appended to our account to make the request's address (a UUID by default)
+   * @returns {Object} {id, address, amount, executionCondition, expiresAt, memo, status}.
+   *   Share it with `paymentRequest.serialize`.
+   */
+  createPaymentRequest (params) {
+    const id = params.id || uuid.v4()
+    if (!/^[a-zA-Z0-9_~-]+$/.test(id)) {
+      throw new Error('Payment request id may only contain letters, digits, "_", "~" and "-": ' + id)
+    }
+    this._removeSettledRequests()
+    if (this.paymentRequests[id]) {
+      throw new Error('A payment request already exists with id: ' + id)
+    }
+    validateAmount('amount', params.amount, this.plugin.getInfo())
+    const request = paymentRequest.parse({
+      address: this.plugin.getAccount() + '.' + id,
+      amount: params.amount,
+      executionCondition: params.executionCondition,
+      expiresAt: params.expiresAt || getExpiresAt(DEFAULT_PAYMENT_REQUEST_EXPIRY_DURATION),
+      memo: params.memo
+    })
+    this.paymentRequests[id] = Object.assign({id}, request, {status: 'pending'})
+    this._persist(STORE_KEYS.paymentRequests, id)
+    return this.getPaymentRequest(id)
+  }
+
+  /**
+   * @param {String} id
+   * @returns {Object|undefined} A copy of the request, including its `status`,
+   *   the `transferId` of the transfer paying it (once prepared) and `fulfilledAt`
+   */
+  getPaymentRequest (id) {
+    const request = this.paymentRequests[id]
+    if (!request) return
+    if (request.status === 'pending' && Date.parse(request.expiresAt) <= Date.now()) {
+      request.status = 'expired'
+    }
+    return Object.assign({}, request)
+  }
+
+  /**
+   * @returns {Object[]} Copies of all payment requests (see `getPaymentRequest`)
+   */
+  getPaymentRequests () {
+    return Object.keys(this.paymentRequests).map((id) => this.getPaymentRequest(id))
+  }
+
+  /**
+   * @param {String} id
+   */
+  removePaymentRequest (id) {
+    const request = this.paymentRequests[id]
+    if (request && request.transferId) delete this.paymentRequestTransfers[request.transferId]
+    delete this.paymentRequests[id]
+    this._persist(STORE_KEYS.paymentRequests, id)
+  }
+
+  /**
+   * Persist state to `store` from now on. See `clientOpts.store`.
+   * @param {Object} newStore {get, put, del}
+   */
+  setStore (newStore) {
+    const missing = store.getMissingMethods(newStore)
+    if (missing.length) {
+      throw new TypeError('"clientOpts.store" is missing methods: ' + missing.join(', '))
+    }
+    this.store = newStore
+    this.storedIds = {}
+  }
+
+  /**
+   * Register a codec for encoding and decoding `destinationMemo`s. Besides
+   * "json" (the default), "text" (UTF-8 strings) and "binary" (Buffers) are
+   * built in. Memos encoded with other codecs are tagged with the codec name,
+   * so receivers decode them with the codec of the same name.
+   *
+   * @param {String} name
+   * @param {Object} codec
+   * @param {Function} codec.encode memo ⇒ Buffer
+   * @param {Function} codec.decode Buffer ⇒ memo
+   */
+  registerMemoCodec (name, codec) {
+    this.memoCodecs.register(name, codec)
+  }
+
+  /**
+   * @param {String} name
+   */
+  unregisterMemoCodec (name) {
+    this.memoCodecs.unregister(name)
+  }
+
+  _validateQuoteAmounts (params) {
+    const info = this.plugin.getInfo()
+    const local = this._isLocal(params)
+    if (params.sourceAmount) validateAmount('sourceAmount', params.sourceAmount, info)
+    if (params.destinationAmount) {
+      validateAmount('destinationAmount', params.destinationAmount, local ? info : undefined)
+    }
+  }
+
+  _validatePaymentAmounts (params, remote) {
+    const info = this.plugin.getInfo()
+    // The destination amounts are only in this ledger's units for same-ledger payments
+    const destinationInfo = remote ? undefined : info
+    validateAmount('sourceAmount', params.sourceAmount, info)
+    validateAmount('destinationAmount', params.destinationAmount, destinationInfo)
+    if (remote && params.maxSourceAmount) {
+      validateAmount('maxSourceAmount', params.maxSourceAmount, info)
+    }
+    if (remote && params.minDestinationAmount) {
+      validateAmount('minDestinationAmount', params.minDestinationAmount)
+    }
+  }
+
+  /**
+   * A snapshot of the client's state, for health checks and debugging.
+   * Plugins may not know their prefix and account before connecting; those are
+   * then undefined and `infoError` says why.
+   * @returns {Object} {prefix, account, infoError, connectionState, reconnectAttempts, pendingMessages,
+   *   quoteCacheSize, outgoingTransfers, lastError}
+   */
+  getStatus () {
+    let prefix
+    let account
+    let infoError = null // {name, message}
+    try {
+      prefix = (this.plugin.getInfo() || {}).prefix
+      account = this.plugin.getAccount()
+    } catch (err) {
+      infoError = {name: err.name, message: err.message}
+    }
+    return {
+      prefix,
+      account,
+      infoError,
+      connectionState: this.connectionState,
+      reconnectAttempts: this.reconnectAttempts,
+      pendingMessages: Object.keys(this.pendingMessages).length,
+      quoteCacheSize: this.quoteCache ? this.quoteCache.size : 0,
+      outgoingTransfers: this.outgoingTransfers.countByState(),
+      lastError: this.lastError && Object.assign({}, this.lastError)
+    }
+  }
+
+  /**
+   * Tell apart plugin calls that failed because the plugin isn't connected.
+   * @param {Error} err What the plugin failed with
+   * @returns {Error} A `PluginNotConnectedError` (with the original error as `cause`), or `err`
+   */
+  _toPluginError (err) {
+    if (this.plugin.isConnected()) return err
+    let prefix
+    try {
+      // plugins may not describe themselves until they're connected
+      prefix = (this.plugin.getInfo() || {}).prefix
+    } catch (e) {}
+    return new errors.PluginNotConnectedError('Plugin is not connected: ' + err.message, {prefix, cause: err})
+  }
+
+  _recordError (err) {
+    this.lastError = {
+      name: err.name,
+      message: err.message,
+      timestamp: (new Date()).toISOString()
+    }
+  }
+
+  _setConnectionState (state) {
+    if (this.connectionState === state) return
+    debug('connection state: ' + this.connectionState + ' -> ' + state)
+    this.connectionState = state
+    this.emit('connection_state', state)
+  }
+
+  _onPluginDisconnect () {
+    this._setConnectionState('disconnected')
+    // Only reconnect if the disconnect wasn't requested
+    if (this.connecting) this._scheduleReconnect()
+  }
+
+  _scheduleReconnect () {
+    if (!this.reconnect || !this.connecting || this.reconnectTimer) return
+    const options = this.reconnect
+    const delay = Math.min(options.maxDelay,
+      options.initialDelay * Math.pow(options.factor, this.reconnectAttempts))
+    const jitteredDelay = delay * (1 - options.jitter * Math.random())
+    this.reconnectAttempts++
+    debug('reconnecting in ' + Math.round(jitteredDelay) + 'ms (attempt ' + this.reconnectAttempts + ')')
+    this._setConnectionState('reconnecting')
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      if (!this.connecting) return
+      Promise.resolve(this.plugin.connect(this.connectOptions)).then(() => {
+        this.reconnectAttempts = 0
+        this._setConnectionState('connected')
+      }, (err) => {
+        debug('reconnect failed: ' + err.message)
+        this._recordError(err)
+        this._scheduleReconnect()
+      })
+    }, jitteredDelay)
+  }
+
+  _getScale () {
+    const scale = this.plugin.getInfo().scale
+    if (typeof scale !== 'number') {
+      throw new Error('Ledger plugin does not report a scale')
+    }
+    return scale
+  }
+
+  /**
+   * Convert the amounts in quote or payment params between display and base units.
+   * @param {Object} params
+   * @param {Object} destination
+   * @param {IlpAddress} destination.address
+   * @param {Integer} [destination.scale] Only needed for remote destinations
+   * @param {Function} convert `toBaseUnits` or `fromBaseUnits`
+   * @returns {Object} A copy of params with the amounts converted and without `amountUnits`
+   */
+  _convertAmounts (params, destination, convert) {
+    const converted = Object.assign({}, params)
+    delete converted.amountUnits
+    const scales = {
+      source: this._getScale(),
+      destination: this._isLocal({destinationAddress: destination.address})
+        ? this._getScale() : destination.scale
+    }
+    for (const field of Object.keys(AMOUNT_FIELDS)) {
+      if (params[field] === undefined) continue
+      const scale = scales[AMOUNT_FIELDS[field].ledger]
+      if (typeof scale !== 'number') {
+        throw new errors.InvalidArgumentError('destinationScale must be provided to use base units for a remote destination',
+          {field: 'destinationScale'})
       }
-    }).then((quoteResponse) => {
+      converted[field] = convert(params[field], scale, AMOUNT_FIELDS[field].rounding)
+    }
+    return converted
+  }
+
+  _isLocal (params) {
+    return startsWith(this.plugin.getInfo().prefix, params.destinationAddress)
+  }
+
+  _getLocalQuote (params) {
+    const amount = params.sourceAmount || params.destinationAmount
+    return omitUndefined({
+      sourceAmount: amount,
+      destinationAmount: amount,
+      sourceExpiryDuration: params.destinationExpiryDuration
+    })
+  }
+
+  /**
+   * Replace a stale quote in sendQuotedPayment params with a new one.
+   * @param {Object} params sendQuotedPayment params
+   * @returns {Promise.<Object>} sendQuotedPayment params
+   */
+  _requote (params) {
+    debug('re-quoting stale quote from ' + params.quotedAt)
+    return this.quote(omitUndefined({
+      destinationAddress: params.destinationAccount,
+      destinationAmount: params.destinationAmount,
+      destinationExpiryDuration: params.destinationExpiryDuration,
+      connectors: params.connectors,
+      slippage: params.slippage,
+      skipCache: true,
+      reportFailures: true
+    })).then((quote) => {
+      if (!quote) throw makeNoQuoteError(params.destinationAccount, [])
+      return Object.assign(omitStaleQuoteFields(params), quote, {requoteIfStale: false})
+    })
+  }
+
+  /**
+   * @param {Object} params The quote parameters
+   * @param {Object} quote The selected connector quote
+   * @returns {Object} {minDestinationAmount} or {maxSourceAmount}, if params.slippage is set
+   */
+  _getSlippageBounds (params, quote) {
+    if (!params.slippage) return {}
+    const slippage = new BigNumber(params.slippage)
+    if (params.sourceAmount) {
+      // Round up to the precision of the quoted amount, so the tolerance is never exceeded
+      // (and base unit amounts stay integers). This can't exceed destinationAmount.
+      const destinationAmount = new BigNumber(quote.destinationAmount)
+      return {
+        minDestinationAmount: destinationAmount.times(slippage.neg().plus(1))
+          .round(destinationAmount.decimalPlaces(), BigNumber.ROUND_UP).toString()
+      }
+    }
+    const scale = this.plugin.getInfo().scale
+    const maxSourceAmount = (new BigNumber(quote.sourceAmount)).times(slippage.plus(1))
+    return {
+      maxSourceAmount: (scale === undefined)
+        ? maxSourceAmount.toString()
+        : maxSourceAmount.toFixed(scale, BigNumber.ROUND_UP)
+    }
+  }
+
+  _getConnectorQuote (connector, quoteQuery) {
+    const start = Date.now()
+    debug('remote quote connector=' + connector + ' query=' + JSON.stringify(quoteQuery))
+    return this.sendRequest(connector, 'quote_request', quoteQuery).then((quoteResponse) => {
+      const quote = quoteResponse.data.data
+      let sourceAmount = quote.source_amount
+      if (sourceAmount) {
+        validateAmount('sourceAmount', sourceAmount)
+        // the connector may quote more decimal places than our ledger has; paying a bit more covers it
+        const scale = this.plugin.getInfo().scale
+        if (typeof scale === 'number') {
+          sourceAmount = (new BigNumber(sourceAmount)).round(scale, BigNumber.ROUND_UP).toString()
+        }
+      }
+      return omitUndefined({
+        connector: connector,
+        connectorAccount: quote.source_connector_account,
+        sourceAmount: sourceAmount,
+        destinationAmount: quote.destination_amount,
+        sourceExpiryDuration: quote.source_expiry_duration,
+        destinationExpiryDuration: quote.destination_expiry_duration,
+        expiresAt: quote.expires_at,
+        liquidityCurve: quote.liquidity_curve,
+        latency: Date.now() - start
+      })
+    }).catch((err) => {
+      debug('remote quote error from ' + connector + ': ' + err.message)
+      return {connector: connector, error: toQuoteError(connector, err), latency: Date.now() - start}
+    })
+  }
+
+  /**
+   * @param {IlpAddress} connectorAddress
+   * @param {Object} quoteQuery quote_request data
+   * @returns {Promise.<Object>} quote_response data. Rejects with a `QuoteTimeoutError`,
+   *   `RemoteQuoteError` or the error sending the request.
+   */
+  _getQuote (connectorAddress, quoteQuery) {
+    debug('remote quote connector=' + connectorAddress + ' query=' + JSON.stringify(quoteQuery))
+    return this.sendRequest(connectorAddress, 'quote_request', quoteQuery).then((quoteResponse) => {
       return quoteResponse.data.data
+    }, (err) => {
+      throw toQuoteError(connectorAddress, err)
+    })
+  }
+
+  /**
+   * Wait for the outcome of one of our outgoing transfers.
+   * @param {String} transferId
+   * @param {String} [expiresAt]
+   * @param {Boolean} [optimistic] Resolve on `outgoing_transfer` rather than `outgoing_fulfill`
+   * @returns {Object} {promise, cancel}
+   */
+  _awaitOutgoingTransfer (transferId, expiresAt, optimistic) {
+    const listeners = {}
+    let expiry
+    let rejectWait
+    const cancel = () => {
+      timer.clearTimer(expiry)
+      this.transferWaits.delete(rejectWait)
+      Object.keys(listeners).forEach((event) => this.off(event, listeners[event]))
+    }
+    const promise = new Promise((resolve, reject) => {
+      rejectWait = (err) => {
+        cancel()
+        reject(err)
+      }
+      this.transferWaits.add(rejectWait)
+      const settle = (callback) => (transfer, arg) => {
+        if (!transfer || transfer.id !== transferId) return
+        cancel()
+        callback(arg)
+      }
+      listeners.outgoing_fulfill = settle(resolve)
+      listeners.outgoing_reject = settle((reason) =>
+        reject(new errors.TransferRejectedError(describeOutcome('Transfer rejected', reason), {transferId, reason})))
+      listeners.outgoing_cancel = settle((reason) =>
+        reject(new errors.TransferCancelledError(describeOutcome('Transfer cancelled', reason), {transferId, reason})))
+      listeners.invalid_fulfillment = settle((fulfillment) =>
+        reject(new errors.InvalidFulfillmentError(
+          'Received a fulfillment that does not match the condition of transfer ' + transferId,
+          {fulfillment, transferId})))
+      if (optimistic) listeners.outgoing_transfer = settle(() => resolve(null))
+      Object.keys(listeners).forEach((event) => this.on(event, listeners[event]))
+
+      // without an expiry, wait as long as it takes
+      if (!expiresAt) return
+      // unlike the tracker's timers, this one keeps the process alive: the caller is waiting on it
+      expiry = timer.setTimer(() => rejectWait(new errors.TransferExpiredError(
+        'Transfer expired before an outcome was received', {transferId})),
+        Date.parse(expiresAt), {ref: true})
+    })
+    return {promise, cancel}
+  }
+
+  /**
+   * @param {Object} record A tracked outgoing transfer (see `getOutgoingTransfer`)
+   * @param {Boolean} [optimistic] See `_awaitOutgoingTransfer`
+   * @returns {Promise.<String|null>} Settles like `sendPayment`: with the recorded outcome,
+   *   or once there is one if the transfer is still prepared
+   */
+  _getOutgoingOutcome (record, optimistic) {
+    const context = {transferId: record.id, reason: record.reason}
+    switch (record.state) {
+      case 'fulfilled':
+        return Promise.resolve(record.fulfillment || null)
+      case 'unverified':
+        return Promise.reject(new errors.InvalidFulfillmentError(
+          'Received a fulfillment that does not match the condition of transfer ' + record.id,
+          {fulfillment: record.fulfillment, transferId: record.id}))
+      case 'rejected':
+        return Promise.reject(new errors.TransferRejectedError(describeOutcome('Transfer rejected', record.reason), context))
+      case 'cancelled':
+        return Promise.reject(new errors.TransferCancelledError(describeOutcome('Transfer cancelled', record.reason), context))
+      case 'expired':
+        return Promise.reject(new errors.TransferExpiredError('Transfer expired before an outcome was received',
+          {transferId: record.id}))
+      default:
+        return this._awaitOutgoingTransfer(record.id, record.expiresAt, optimistic).promise
+    }
+  }
+
+  /**
+   * Emit `incoming_payment` with the decoded ILP packet of an incoming
+   * transfer, or `incoming_payment_error` if the packet is malformed.
+   * Transfers without an `ilp` field aren't ILP payments and are ignored.
+   * @param {Object} transfer
+   */
+  _onIncomingTransfer (transfer) {
+    if (!transfer || !transfer.ilp) return
+    let payment
+    try {
+      payment = ilpPayment.parsePayment(transfer.ilp, this.memoCodecs)
+    } catch (err) {
+      debug('could not parse ILP packet of transfer ' + transfer.id + ': ' + err.message)
+      return this.emitAsync('incoming_payment_error', transfer, err)
+    }
+    this._matchPaymentRequest(transfer, payment)
+    return this.emitAsync('incoming_payment', transfer, payment)
+  }
+
+  _matchPaymentRequest (transfer, payment) {
+    const prefix = this.plugin.getAccount() + '.'
+    if (!transfer.executionCondition || !startsWith(prefix, payment.destinationAccount)) return
+    const request = this.paymentRequests[payment.destinationAccount.slice(prefix.length)]
+    if (!request || this.getPaymentRequest(request.id).status !== 'pending') return
+    if (transfer.executionCondition.replace(/=+$/, '') !== request.executionCondition.replace(/=+$/, '')) return
+    if ((new BigNumber(transfer.amount)).lessThan(request.amount)) return
+
+    request.status = 'prepared'
+    request.transferId = transfer.id
+    this.paymentRequestTransfers[transfer.id] = request.id
+    this._persist(STORE_KEYS.paymentRequests, request.id)
+    this.emitAsync('payment_request_status', Object.assign({}, request))
+  }
+
+  /**
+   * @param {Object} transfer An incoming transfer that was fulfilled, cancelled or rejected
+   * @param {String} status "fulfilled", or "pending" if the request may still be paid
+   */
+  _settlePaymentRequest (transfer, status) {
+    if (!transfer) return
+    const request = this.paymentRequests[this.paymentRequestTransfers[transfer.id]]
+    if (!request) return
+    delete this.paymentRequestTransfers[transfer.id]
+    if (status === 'pending') delete request.transferId
+    if (status === 'fulfilled') request.fulfilledAt = (new Date()).toISOString()
+    request.status = status
+    this._persist(STORE_KEYS.paymentRequests, request.id)
+    this.emitAsync('payment_request_status', this.getPaymentRequest(request.id))
+  }
+
+  /**
+   * Forget payment requests that were fulfilled or expired more than
+   * `transferHistoryTtl` ago. Prepared ones are kept until the transfer settles.
+   */
+  _removeSettledRequests () {
+    const cutoff = Date.now() - this.transferHistoryTtl
+    for (const id of Object.keys(this.paymentRequests)) {
+      const request = this.paymentRequests[id]
+      if (request.status === 'prepared') continue
+      const settledAt = request.status === 'fulfilled' ? (request.fulfilledAt || request.expiresAt) : request.expiresAt
+      if (!(Date.parse(settledAt) <= cutoff)) continue
+      delete this.paymentRequests[id]
+      this._persist(STORE_KEYS.paymentRequests, id)
+    }
+  }
+
+  /**
+   * Write one record to the store, or delete it if it's gone. Each record has
+   * its own key (e.g. "payment_requests:abc") and the collection's key lists
+   * the ids, so a change only rewrites the list if it adds or removes a record.
+   * Writes are queued, and each writes the record as of when it runs, so the
+   * last write always wins.
+   * @param {String} collection One of STORE_KEYS
+   * @param {String} id
+   */
+  _persist (collection, id) {
+    if (!this.store) return
+    const _this = this
+    const key = collection + ':' + id
+    this.storeWrites = this.storeWrites.then(() => co(function * () {
+      const record = _this._getRecord(collection, id)
+      const ids = yield _this._getStoredIds(collection)
+      if (record === undefined) {
+        if (ids[id]) {
+          delete ids[id]
+          yield _this.store.put(collection, JSON.stringify(Object.keys(ids)))
+        }
+        yield _this.store.del(key)
+      } else {
+        // the record goes first, so the list never names a missing one
+        yield _this.store.put(key, JSON.stringify(record))
+        if (!ids[id]) {
+          yield _this.store.put(collection, JSON.stringify(Object.keys(ids).concat(id)))
+          ids[id] = true
+        }
+      }
+    })).catch((err) => {
+      debug('failed to persist ' + key + ': ' + err.message)
+      this._recordError(err)
+    })
+    return this.storeWrites
+  }
+
+  _getRecord (collection, id) {
+    if (collection === STORE_KEYS.outgoingTransfers) return this.outgoingTransfers.get(id)
+    if (collection === STORE_KEYS.incomingTransfers) return this.incomingConditions[id]
+    if (collection === STORE_KEYS.paymentRequests) return this.paymentRequests[id]
+  }
+
+  /**
+   * @param {String} key
+   * @returns {Promise.<*>} The parsed value stored under `key`, or undefined
+   */
+  _loadStored (key) {
+    return Promise.resolve(this.store.get(key)).then((value) => {
+      if (value === undefined || value === null) return
+      try {
+        return JSON.parse(value)
+      } catch (err) {
+        throw new Error('Stored ' + key + ' is not valid JSON')
+      }
+    })
+  }
+
+  /**
+   * The ids listed under a collection's key, read from the store once.
+   * @param {String} collection One of STORE_KEYS
+   * @returns {Promise.<Object>} { id ⇒ true }
+   */
+  _getStoredIds (collection) {
+    if (!this.storedIds[collection]) {
+      this.storedIds[collection] = this._loadStored(collection).then((list) => {
+        if (list !== undefined && !Array.isArray(list)) {
+          throw new Error('Stored ' + collection + ' is not a list of ids')
+        }
+        const ids = Object.create(null)
+        for (const id of list || []) ids[id] = true
+        return ids
+      })
+      // let a later call retry if the list could not be read
+      this.storedIds[collection].catch(() => { this.storedIds[collection] = null })
+    }
+    return this.storedIds[collection]
+  }
+
+  /**
+   * Load the persisted state, once. State created in the meantime takes precedence.
+   * @returns {Promise}
+   */
+  _loadState () {
+    if (this.stateLoaded) return this.stateLoaded
+    const _this = this
+    this.stateLoaded = co(function * () {
+      const load = function * (collection) {
+        const records = Object.create(null)
+        for (const id of Object.keys(yield _this._getStoredIds(collection))) {
+          const record = yield _this._loadStored(collection + ':' + id)
+          if (record !== undefined) records[id] = record
+        }
+        return records
+      }
+      const outgoingTransfers = yield load(STORE_KEYS.outgoingTransfers)
+      const incomingConditions = yield load(STORE_KEYS.incomingTransfers)
+      const requests = yield load(STORE_KEYS.paymentRequests)
+
+      _this.outgoingTransfers.restore(Object.keys(outgoingTransfers).map((id) => outgoingTransfers[id]))
+      _this.incomingConditions = Object.assign(Object.create(null), incomingConditions, _this.incomingConditions)
+      for (const id of Object.keys(requests)) {
+        if (_this.paymentRequests[id]) continue
+        _this.paymentRequests[id] = requests[id]
+        if (requests[id].status === 'prepared') _this.paymentRequestTransfers[requests[id].transferId] = id
+      }
+      _this._removeSettledRequests()
+      debug('loaded state from store')
     }).catch((err) => {
-      debug('getQuote: ignoring remote quote error: ' + err.message)
+      // try again on the next connect
+      _this.stateLoaded = null
+      _this.storedIds = {}
+      throw err
     })
+    return this.stateLoaded
   }
 
   _sendAndReceiveMessage (reqMessage) {
     const id = reqMessage.data.id = uuid()
+    const responseMethod = reqMessage.data.method && getResponseMethod(reqMessage.data.method)
     debug('sending message: ' + JSON.stringify(reqMessage))
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
-        reject(new Error('Timed out while awaiting response message'))
+        reject(new errors.MessageTimeoutError('Timed out while awaiting response message',
+          {to: reqMessage.to, method: reqMessage.data.method}))
+        delete this.pendingMessages[id]
       }, this.messageTimeout)
-      this.pendingMessages[id] = {resolve, reject, timeout}
+      this.pendingMessages[id] = {resolve, reject, timeout, responseMethod}
       this.plugin.sendMessage(reqMessage).catch((err) => {
+        err = this._toPluginError(err)
+        this._recordError(err)
         reject(err)
         clearTimeout(timeout)
         delete this.pendingMessages[id]
@@ -262,13 +1629,17 @@ class Client extends EventEmitter {
     debug('got incoming message: ' + JSON.stringify(resMessage))
     const resData = resMessage.data
     if (!resData) return
+    if (this.requestHandlers[resData.method]) {
+      return this._handleRequest(resMessage)
+    }
     // Find the matching outgoing message, if any.
     const pendingMessage = this.pendingMessages[resData.id]
     if (!pendingMessage) return
 
     if (resData.method === 'error') {
-      pendingMessage.reject(new Error(resData.data.message))
-    } else if (resData.method === 'quote_response') {
+      pendingMessage.reject(new errors.RemoteError(resData.data.message,
+        {from: resMessage.from, remoteName: resData.data.id}))
+    } else if (!pendingMessage.responseMethod || resData.method === pendingMessage.responseMethod) {
       pendingMessage.resolve(resMessage)
     } else {
       return
@@ -277,28 +1648,215 @@ class Client extends EventEmitter {
     delete this.pendingMessages[resData.id]
   }
 
+  _handleRequest (reqMessage) {
+    const reqData = reqMessage.data
+    const handler = this.requestHandlers[reqData.method]
+    return Promise.resolve()
+      .then(() => handler(reqData.data, reqMessage))
+      .then((data) => ({method: getResponseMethod(reqData.method), data}), (err) => {
+        debug('request handler for ' + reqData.method + ' failed: ' + err.message)
+        return {method: 'error', data: {id: err.name, message: err.message}}
+      })
+      .then((resData) => this.plugin.sendMessage({
+        ledger: reqMessage.ledger || this.plugin.getInfo().prefix,
+        from: this.plugin.getAccount(),
+        to: reqMessage.from,
+        data: Object.assign({id: reqData.id}, resData)
+      }))
+      .catch((err) => {
+        debug('failed to send response to ' + reqData.method + ': ' + err.message)
+      })
+  }
+
   static _stringifyPacketData (data) {
-    return toBase64Url(Buffer.from(JSON.stringify(data)))
+    return ilpPayment.defaultMemoCodecs.encode(data, 'json')
+  }
+}
+
+function getResponseMethod (requestMethod) {
+  return requestMethod.replace(/_request$/, '') + '_response'
+}
+
+function describeOutcome (message, reason) {
+  return message + (reason.message ? ': ' + reason.message : '')
+}
+
+/**
+ * @param {String} outcome "reject" or "cancel"
+ * @param {Object} transfer
+ * @param {Object|String} [reason] As reported by the plugin
+ * @returns {Object} The reason as an ILP error. Cancellations default to R00
+ *   (Transfer Timed Out), triggered by the ledger.
+ */
+function normalizeReason (outcome, transfer, reason) {
+  return outcome === 'cancel'
+    ? ilpError.normalize(reason, {code: 'R00', triggeredBy: transfer && transfer.ledger})
+    : ilpError.normalize(reason, {code: 'F99'})
+}
+
+function validateAmountSpecified (params) {
+  if (params.sourceAmount ? params.destinationAmount : !params.destinationAmount) {
+    throw new Error('Should provide source or destination amount but not both')
+  }
+}
+
+/**
+ * @param {IlpAddress} connector
+ * @param {Error} err Why a quote request to the connector failed
+ * @returns {Error} A `QuoteTimeoutError` or `RemoteQuoteError` if that is what it was, or `err`
+ */
+function toQuoteError (connector, err) {
+  if (err instanceof errors.MessageTimeoutError) {
+    return new errors.QuoteTimeoutError(err.message, {connector})
+  }
+  if (err instanceof errors.RemoteError) {
+    return new errors.RemoteQuoteError(err.message, {connector, remoteName: err.remoteName})
+  }
+  return err
+}
+
+/**
+ * @param {IlpAddress} destinationAddress
+ * @param {Object[]} results `quoteAll` results
+ * @returns {NoQuoteError}
+ */
+function makeNoQuoteError (destinationAddress, results) {
+  const connectorErrors = results.map((result) => ({connector: result.connector, error: result.error}))
+  const reasons = connectorErrors.map((failure) => failure.connector + ': ' + failure.error.message)
+  return new errors.NoQuoteError('No quote available for payment to ' + destinationAddress +
+    (reasons.length ? ' (' + reasons.join('; ') + ')' : ''),
+    {destinationAddress, connectorErrors})
+}
+
+function getExpiresAt (sourceExpiryDuration) {
+  return (new Date(Date.now() + parseFloat(sourceExpiryDuration) * 1000)).toISOString()
+}
+
+// ILP packets carry integer amounts. Round down explicitly rather than leaving it to
+// the packet serializer, which truncates: the packet never asks for more than was quoted.
+/**
+ * @param {Object} [recorded] The `payment` recorded with a transfer sent by `sendPayment`
+ * @param {Object} payment {destinationAccount, sourceAmount, destinationAmount, amountUnits}
+ * @returns {Boolean} Whether `payment` is a repeat of the recorded one
+ */
+function isSamePayment (recorded, payment) {
+  if (!recorded) return false
+  const isSameAmount = (a, b) => (a === undefined || b === undefined)
+    ? a === b : (new BigNumber(a)).equals(b)
+  return recorded.destinationAccount === payment.destinationAccount &&
+    (recorded.amountUnits || 'display') === (payment.amountUnits || 'display') &&
+    isSameAmount(recorded.sourceAmount, payment.sourceAmount) &&
+    isSameAmount(recorded.destinationAmount, payment.destinationAmount)
+}
+
+function toPacketAmount (amount) {
+  return (new BigNumber(amount)).toFixed(0, BigNumber.ROUND_DOWN)
+}
+
+function omitStaleQuoteFields (params) {
+  const fresh = Object.assign({}, params)
+  for (const field of ['sourceAmount', 'connectorAccount', 'sourceExpiryDuration',
+      'minDestinationAmount', 'maxSourceAmount', 'quotedAt', 'quoteExpiresAt']) {
+    delete fresh[field]
+  }
+  return fresh
+}
+
+/**
+ * @param {Object} [thresholds] `clientOpts.balanceThresholds`
+ * @returns {Object} {low, high}
+ */
+function validateBalanceThresholds (thresholds) {
+  if (thresholds === undefined) return {}
+  if (typeof thresholds !== 'object' || thresholds === null) {
+    throw new TypeError('"clientOpts.balanceThresholds" must be an Object or undefined')
+  }
+  for (const field of ['low', 'high']) {
+    const value = thresholds[field]
+    if (value === undefined) continue
+    if ((typeof value !== 'string' && typeof value !== 'number') || !isFinite(value) || value === '') {
+      throw new TypeError('"clientOpts.balanceThresholds.' + field + '" must be a number or undefined')
+    }
+  }
+  if (thresholds.low !== undefined && thresholds.high !== undefined &&
+      (new BigNumber(thresholds.low)).greaterThan(thresholds.high)) {
+    throw new TypeError('"clientOpts.balanceThresholds.low" must not be above "high"')
+  }
+  return {low: thresholds.low, high: thresholds.high}
+}
+
+/**
+ * A delay that isn't a positive number would make reconnecting a hot loop.
+ * @param {Object|Boolean} [reconnect] `clientOpts.reconnect`
+ * @returns {Object|null} The options with defaults, or null if reconnecting is disabled
+ */
+function validateReconnect (reconnect) {
+  if (reconnect !== undefined && reconnect !== null && typeof reconnect !== 'object' &&
+      typeof reconnect !== 'boolean') {
+    throw new TypeError('"clientOpts.reconnect" must be an Object, a Boolean or undefined')
   }
+  if (!reconnect) return null
+  const options = Object.assign({}, DEFAULT_RECONNECT, reconnect === true ? {} : reconnect)
+  for (const field of ['initialDelay', 'maxDelay']) {
+    if (typeof options[field] !== 'number' || !(options[field] > 0) || !isFinite(options[field])) {
+      throw new TypeError('"clientOpts.reconnect.' + field + '" must be a positive Number or undefined')
+    }
+  }
+  if (options.maxDelay < options.initialDelay) {
+    throw new TypeError('"clientOpts.reconnect.maxDelay" must not be below "initialDelay"')
+  }
+  if (typeof options.factor !== 'number' || !(options.factor >= 1) || !isFinite(options.factor)) {
+    throw new TypeError('"clientOpts.reconnect.factor" must be a Number of at least 1 or undefined')
+  }
+  if (typeof options.jitter !== 'number' || !(options.jitter >= 0 && options.jitter <= 1)) {
+    throw new TypeError('"clientOpts.reconnect.jitter" must be a Number from 0 to 1 or undefined')
+  }
+  return options
+}
+
+function applyPaymentRequest (params, addressField) {
+  if (!params.paymentRequest) return params
+  const request = paymentRequest.parse(params.paymentRequest)
+  if (Date.parse(request.expiresAt) <= Date.now()) {
+    throw new Error('Payment request expired at ' + request.expiresAt)
+  }
+  const applied = Object.assign({}, params, omitUndefined({
+    [addressField]: request.address,
+    destinationAmount: request.amount,
+    executionCondition: request.executionCondition,
+    destinationMemo: request.memo
+  }))
+  delete applied.paymentRequest
+  return applied
+}
+
+function isBaseUnits (params) {
+  if (params.amountUnits === undefined || params.amountUnits === 'display') return false
+  if (params.amountUnits === 'base') return true
+  throw new Error('amountUnits must be "display" or "base"')
 }
 
-function getCheaperQuote (quote1, quote2) {
-  if ((new BigNumber(quote1.source_amount))
-      .lessThan(quote2.source_amount)) {
-    return quote1
+function validateSlippage (slippage) {
+  if (slippage === undefined) return
+  const value = Number(slippage)
+  if (typeof slippage === 'object' || isNaN(value) || value < 0 || value >= 1) {
+    throw new Error('slippage must be a number between 0 and 1')
   }
-  if ((new BigNumber(quote1.destination_amount))
-      .greaterThan(quote2.destination_amount)) {
-    return quote1
+}
+
+function getSelector (params) {
+  const select = params.select ||
+    (params.sourceAmount ? 'bestDestination' : 'cheapestSource')
+  if (typeof select === 'function') return select
+  if (!quoteSelectors[select]) {
+    throw new Error('Unknown quote selector: ' + select)
   }
-  return quote2
+  return quoteSelectors[select]
 }
 
-function toBase64Url (buffer) {
-  return buffer.toString('base64')
-    .replace(/=/g, '')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
+function isMatchingFulfillment (transfer, fulfillment) {
+  if (!transfer || !transfer.executionCondition) return true
+  return condition.verifyFulfillment(fulfillment, transfer.executionCondition)
 }
 
 module.exports = Client
@@ -0,0 +1,74 @@
+'use strict'
+
+const crypto = require('crypto')
+const base64url = require('./base64url')
+const errors = require('./errors')
+
+const PREIMAGE_LENGTH = 32 // bytes
+
+/**
+ * Execution conditions are the base64url-encoded SHA-256 hash of a 32-byte
+ * preimage; the base64url-encoded preimage is the fulfillment.
+ */
+
+/**
+ * @returns {Object} {fulfillment, condition} A new random fulfillment and its condition
+ */
+function generateConditionPair () {
+  const fulfillment = base64url.encode(crypto.randomBytes(PREIMAGE_LENGTH))
+  return {fulfillment, condition: fulfillmentToCondition(fulfillment)}
+}
+
+/**
+ * @param {String} fulfillment
+ * @returns {String} condition
+ * @throws {InvalidFulfillmentError} If the fulfillment isn't a base64url 32-byte preimage
+ */
+function fulfillmentToCondition (fulfillment) {
+  validateFulfillment(fulfillment)
+  return base64url.encode(crypto.createHash('sha256').update(base64url.decode(fulfillment)).digest())
+}
+
+/**
+ * @param {String} fulfillment
+ * @param {String} condition
+ * @returns {Boolean} Whether the fulfillment is well-formed and matches the condition
+ */
+function verifyFulfillment (fulfillment, condition) {
+  if (!isValidEncoding(fulfillment) || typeof condition !== 'string') return false
+  return fulfillmentToCondition(fulfillment) === condition.replace(/=+$/, '')
+}
+
+/**
+ * @param {String} condition
+ * @throws {InvalidConditionError}
+ */
+function validateCondition (condition) {
+  if (!isValidEncoding(condition)) {
+    throw new errors.InvalidConditionError(
+      'executionCondition must be a base64url-encoded 32-byte hash: ' + condition, {condition})
+  }
+}
+
+/**
+ * @param {String} fulfillment
+ * @throws {InvalidFulfillmentError}
+ */
+function validateFulfillment (fulfillment) {
+  if (!isValidEncoding(fulfillment)) {
+    throw new errors.InvalidFulfillmentError(
+      'fulfillment must be a base64url-encoded 32-byte preimage: ' + fulfillment, {fulfillment})
+  }
+}
+
+function isValidEncoding (value) {
+  return base64url.isBase64Url(value) && base64url.decode(value).length === PREIMAGE_LENGTH
+}
+
+module.exports = {
+  generateConditionPair,
+  fulfillmentToCondition,
+  verifyFulfillment,
+  validateCondition,
+  validateFulfillment
+}
@@ -5,13 +5,20 @@ const EventEmitter = require('eventemitter2')
 const BigNumber = require('bignumber.js')
 const isUndefined = require('lodash/fp/isUndefined')
 const omitUndefined = require('lodash/fp/omitBy')(isUndefined)
+const startsWith = require('lodash/fp/startsWith')
 const routing = require('ilp-routing')
 const debug = require('debug')('ilp-core')
+const store = require('./store')
+const errors = require('./errors')
+const QuoteCache = require('./quoteCache')
 
 class Core extends EventEmitter {
   /**
    * @param {Object} options
    * @param {ilp-routing.RoutingTables} options.routingTables
+   * @param {Integer} [options.quoteValidity] The number of milliseconds a quote may be used for. Defaults to 30000.
+   * @param {Object} [options.store] Store shared by the clients that don't have their own, with keys prefixed by
+   *   the client's ledger prefix (see `clientOpts.store`)
    */
   constructor (options) {
     if (!options) options = {}
@@ -19,6 +26,14 @@ class Core extends EventEmitter {
     this.clientList = [] // Client[]
     this.clients = {} // { prefix ⇒ Client }
     this.tables = options.routingTables || new routing.RoutingTables([], null)
+    this.quoteValidity = options.quoteValidity === undefined ? QuoteCache.DEFAULT_QUOTE_VALIDITY : options.quoteValidity
+    if (typeof this.quoteValidity !== 'number') {
+      throw new TypeError('"options.quoteValidity" must be a Number or undefined')
+    }
+    if (options.store !== undefined && store.getMissingMethods(options.store).length) {
+      throw new TypeError('"options.store" is missing methods: ' + store.getMissingMethods(options.store).join(', '))
+    }
+    this.store = options.store || null
 
     const core = this
     this._relayEvent = function () {
@@ -26,28 +41,31 @@ class Core extends EventEmitter {
       const args = Array.prototype.slice.call(arguments, 1)
       return core.emitAsync.apply(core, [event, this].concat(args))
     }
+
+    this._answerQuoteRequest = (query, message) =>
+      co(this._handleQuoteRequest.bind(this), query, message)
   }
 
   /**
    * `getClient`/`getPlugin` will find the Client/Plugin corresponding
-   * to either a local ledger address (e.g. "us.fed.wf.").
+   * to either a local ledger prefix (e.g. "us.fed.wf.") or any address
+   * under it (e.g. "us.fed.wf.alice"). When prefixes are nested, the
+   * longest matching prefix wins.
    *
    * @param {IlpAddress} address
    * @returns {Client|null}
    */
-  getClient (ledger) {
-    if (ledger.slice(-1) !== '.') {
-      throw new Error('prefix must end with "."')
-    }
-    return this.clients[ledger] || null
+  getClient (address) {
+    const prefix = this._findPrefix(address)
+    return prefix ? this.clients[prefix] : null
   }
 
   /**
    * @param {IlpAddress} address
    * @returns {LedgerPlugin|null}
    */
-  getPlugin (ledger) {
-    const client = this.getClient(ledger)
+  getPlugin (address) {
+    const client = this.getClient(address)
     return client && client.getPlugin()
   }
 
@@ -65,6 +83,11 @@ class Core extends EventEmitter {
       throw new Error('prefix must end with "."')
     }
 
+    // registered first, since it throws if the client already has a quote handler
+    client.registerRequestHandler('quote_request', this._answerQuoteRequest)
+    if (this.store && !client.store) {
+      client.setStore(store.prefixStore(this.store, prefix))
+    }
     client.onAny(this._relayEvent)
     this.clientList.push(client)
     this.clients[prefix] = client
@@ -75,16 +98,87 @@ class Core extends EventEmitter {
    * @returns {Client}
    */
   removeClient (prefix) {
-    const client = this.getClient(prefix)
+    const client = this.clients[prefix]
     if (!client) return
     client.offAny(this._relayEvent)
+    client.unregisterRequestHandler('quote_request')
     this.clientList.splice(this.clientList.indexOf(client), 1)
     delete this.clients[prefix]
     return client
   }
 
+  /**
+   * A snapshot of Core's state, for health checks and debugging.
+   * @returns {Object} {clients: {prefix ⇒ Client#getStatus()}, connectedClients, totalClients, routingTables: {sources, routes}}
+   */
+  getStatus () {
+    const clients = {}
+    for (const prefix of Object.keys(this.clients)) {
+      clients[prefix] = this.clients[prefix].getStatus()
+    }
+    let sources = 0
+    let routes = 0
+    this.tables.eachSource(() => sources++)
+    this.tables.eachRoute(() => routes++)
+    return {
+      clients,
+      connectedClients: Object.keys(clients)
+        .filter((prefix) => clients[prefix].connectionState === 'connected').length,
+      totalClients: this.clientList.length,
+      routingTables: {sources, routes}
+    }
+  }
+
+  /**
+   * Get every client's balance (see `Client#getBalance`). Balances on
+   * different ledgers aren't added up, since they may be in different assets.
+   * A client's `balance_low`, `balance_high` and `balance_normal` events are
+   * relayed like its other events.
+   * @returns {Promise.<Object>} {prefix ⇒ {prefix, balance, baseBalance, scale}}, or
+   *   {prefix ⇒ {prefix, error}} for clients whose balance could not be retrieved
+   */
+  getBalances () {
+    const prefixes = Object.keys(this.clients)
+    return Promise.all(prefixes.map((prefix) =>
+      Promise.resolve(this.clients[prefix].getBalance()).catch((error) => {
+        debug('failed to get balance of ' + prefix + ': ' + error.message)
+        return {prefix, error}
+      })
+    )).then((results) => {
+      const balances = {}
+      prefixes.forEach((prefix, i) => { balances[prefix] = results[i] })
+      return balances
+    })
+  }
+
+  /**
+   * @param {Object} [options] Passed on to each `client.connect`
+   * @param {Boolean} [options.allowPartial] Resolve as long as at least one
+   *   client connects, instead of rejecting if any client fails.
+   * @returns {Promise} With `allowPartial`, resolves to
+   *   `{connected: Client[], failed: [{client, error}]}`
+   */
   connect (options) {
-    return Promise.all(this.clientList.map((client) => client.connect(options)))
+    if (!options || !options.allowPartial) {
+      return Promise.all(this.clientList.map((client) => client.connect(options)))
+    }
+
+    const clientOptions = Object.assign({}, options)
+    delete clientOptions.allowPartial
+    return Promise.all(this.clientList.map((client) =>
+      Promise.resolve(client.connect(clientOptions)).then(
+        () => ({client}),
+        (error) => ({client, error}))
+    )).then((results) => {
+      const connected = results.filter((result) => !result.error).map((result) => result.client)
+      const failed = results.filter((result) => result.error)
+      failed.forEach((result) => debug('client failed to connect: ' + result.error.message))
+      if (failed.length && !connected.length) {
+        throw new Error('All clients failed to connect: ' +
+          failed.map((result) => result.error.message).join(', '))
+      }
+      return {connected, failed}
+    })
   }
 
   disconnect () {
@@ -99,24 +193,55 @@ class Core extends EventEmitter {
    * @param {String} [query.destinationAmount] Either the sourceAmount or destinationAmount must be specified
    * @param {String|Number} [query.sourceExpiryDuration] Number of seconds between when the source transfer is proposed and when it expires.
    * @param {String|Number} [query.destinationExpiryDuration] Number of seconds between when the destination transfer is proposed and when it expires.
-   * @returns {Promise<Quote>}
+   * @param {Boolean} [query.reportFailures] Reject with a `NoRouteFoundError`, or the error of the connector
+   *   asked to quote the rest of the path, instead of resolving with null
+   * @returns {Promise<Quote>} Includes `quotedAt` and `quoteExpiresAt` timestamps
    */
   quote (query) {
     return co(this._quote.bind(this), query)
   }
 
+  /**
+   * Quote and send a payment through the Client for the sender's ledger,
+   * then wait for its outcome.
+   *
+   * @param {Object} params See `Client#sendPayment`
+   * @param {String} params.sourceAddress Sender's address
+   * @returns {Promise<String|null>} The fulfillment
+   */
+  sendPayment (params) {
+    if (!params.sourceAddress) {
+      return Promise.reject(new errors.InvalidArgumentError('sourceAddress must be provided', {field: 'sourceAddress'}))
+    }
+    const client = this.getClient(params.sourceAddress)
+    if (!client) {
+      return Promise.reject(new errors.InvalidArgumentError('No client found for sourceAddress ' + params.sourceAddress,
+        {field: 'sourceAddress'}))
+    }
+    return client.sendPayment(params)
+  }
+
   * _quote (query) {
     const hop = this._findBestHopForAmount(
       query.sourceAddress, query.destinationAddress,
       query.sourceAmount, query.destinationAmount)
-    if (!hop) return null
+    if (!hop) {
+      if (query.reportFailures) throw makeNoRouteError(query.sourceAddress, query.destinationAddress)
+      return null
+    }
 
     const sourceLedger = hop.sourceLedger
     const connectorAccount = this.getPlugin(sourceLedger).getAccount()
     const sourceExpiryDuration = parseDuration(query.sourceExpiryDuration)
     const destinationExpiryDuration = (sourceExpiryDuration || query.destinationExpiryDuration)
       ? parseDuration(query.destinationExpiryDuration) : 5
-    const quote = {connectorAccount, sourceLedger}
+    const now = Date.now()
+    const quote = {
+      connectorAccount,
+      sourceLedger,
+      quotedAt: (new Date(now)).toISOString(),
+      quoteExpiresAt: (new Date(now + this.quoteValidity)).toISOString()
+    }
 
     const localQuote = Object.assign(
       getExpiryDurations(sourceExpiryDuration, destinationExpiryDuration, hop.minMessageWindow),
@@ -152,7 +277,10 @@ class Core extends EventEmitter {
         : undefined,
       destination_expiry_duration: destinationExpiryDuration,
       slippage: '0' // Slippage will be applied at the first connector, not an intermediate one.
-    }))
+    })).catch((err) => {
+      if (query.reportFailures) throw err
+      debug('remote quote error from ' + intermediateConnector + ': ' + err.message)
+    })
 
     // If no remote quote can be found, just use the local one.
     // if (!tailQuote) return localQuote
@@ -179,7 +307,45 @@ class Core extends EventEmitter {
       destinationAmount: tailQuote.destination_amount,
       minMessageWindow: minMessageWindow,
       liquidityCurve: curve
-    }, quote, getExpiryDurations(sourceExpiryDuration, destinationExpiryDuration, minMessageWindow))
+    }, quote, getExpiryDurations(sourceExpiryDuration, destinationExpiryDuration, minMessageWindow),
+      // The quote is only as fresh as the remote part of it
+      (tailQuote.expires_at && Date.parse(tailQuote.expires_at) < Date.parse(quote.quoteExpiresAt))
+        ? {quoteExpiresAt: (new Date(tailQuote.expires_at)).toISOString()} : {})
+  }
+
+  /**
+   * @param {IlpAddress} address
+   * @returns {IlpAddress|undefined} The longest registered prefix of `address`
+   */
+  _findPrefix (address) {
+    return Object.keys(this.clients)
+      .filter((prefix) => startsWith(prefix, address))
+      .reduce((best, prefix) => (!best || prefix.length > best.length) ? prefix : best, undefined)
+  }
+
+  /**
+   * Answer a `quote_request` received by one of our clients. The result is
+   * sent back as the `quote_response`; a thrown error, e.g. the next hop's
+   * `QuoteTimeoutError`, becomes an `error` message.
+   *
+   * @param {Object} query The quote_request data
+   * @param {Object} message The quote_request message
+   * @returns {Object} quote_response data
+   */
+  * _handleQuoteRequest (query, message) {
+    query = query || {}
+    const sourceAddress = query.source_address || message.from
+    const quote = yield this.quote({
+      sourceAddress: sourceAddress,
+      destinationAddress: query.destination_address,
+      sourceAmount: query.source_amount,
+      destinationAmount: query.destination_amount,
+      sourceExpiryDuration: query.source_expiry_duration,
+      destinationExpiryDuration: query.destination_expiry_duration,
+      reportFailures: true
+    })
+    if (!quote) throw makeNoRouteError(sourceAddress, query.destination_address)
+    return quoteToResponse(quote)
   }
 
   _findBestHopForAmount (sourceLedger, destinationAddress, sourceAmount, destinationAmount) {
@@ -203,6 +369,25 @@ function hopToQuote (hop) {
   })
 }
 
+function makeNoRouteError (sourceAddress, destinationAddress) {
+  return new errors.NoRouteFoundError('No route found from: ' + sourceAddress + ' to: ' + destinationAddress,
+    {sourceAddress, destinationAddress})
+}
+
+function quoteToResponse (quote) {
+  return omitUndefined({
+    source_connector_account: quote.connectorAccount,
+    source_ledger: quote.sourceLedger,
+    destination_ledger: quote.destinationLedger,
+    source_amount: quote.sourceAmount,
+    destination_amount: quote.destinationAmount,
+    source_expiry_duration: String(quote.sourceExpiryDuration),
+    destination_expiry_duration: String(quote.destinationExpiryDuration),
+    liquidity_curve: quote.liquidityCurve,
+    expires_at: quote.quoteExpiresAt
+  })
+}
+
 /**
  * @param {IlpAddress} address
  * @returns {IlpAddress} prefix
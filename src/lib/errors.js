@@ -0,0 +1,340 @@
+'use strict'
+
+/**
+ * Every error class has a stable `code` (e.g. "NO_QUOTE") to check instead of
+ * the message, and may carry context fields such as the `connector`.
+ */
+class InvalidAmountError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.field] Name of the invalid parameter, e.g. "sourceAmount"
+   * @param {*} [context.amount] The invalid amount
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'InvalidAmountError'
+    this.code = 'INVALID_AMOUNT'
+    Object.assign(this, context)
+  }
+}
+
+class PluginInterfaceError extends Error {
+  /**
+   * @param {String} message
+   * @param {String[]} violations Every way the plugin deviates from the ledger plugin interface
+   */
+  constructor (message, violations) {
+    super(message)
+    this.name = 'PluginInterfaceError'
+    this.code = 'PLUGIN_INTERFACE'
+    this.violations = violations
+  }
+}
+
+class InvalidConditionError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.condition]
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'InvalidConditionError'
+    this.code = 'INVALID_CONDITION'
+    Object.assign(this, context)
+  }
+}
+
+class InvalidFulfillmentError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.fulfillment]
+   * @param {String} [context.condition] The condition it was checked against
+   * @param {String} [context.transferId]
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'InvalidFulfillmentError'
+    this.code = 'INVALID_FULFILLMENT'
+    Object.assign(this, context)
+  }
+}
+
+class InvalidPacketError extends Error {
+  /**
+   * @param {String} message
+   */
+  constructor (message) {
+    super(message)
+    this.name = 'InvalidPacketError'
+    this.code = 'INVALID_PACKET'
+  }
+}
+
+class InvalidPaymentRequestError extends Error {
+  /**
+   * @param {String} message
+   */
+  constructor (message) {
+    super(message)
+    this.name = 'InvalidPaymentRequestError'
+    this.code = 'INVALID_PAYMENT_REQUEST'
+  }
+}
+
+class PartialPaymentError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} result The outcome of every chunk (see `Client#sendChunkedPayment`)
+   */
+  constructor (message, result) {
+    super(message)
+    this.name = 'PartialPaymentError'
+    this.code = 'PARTIAL_PAYMENT'
+    this.result = result
+  }
+}
+
+class TransferConflictError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.transferId] The reused transfer id
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'TransferConflictError'
+    this.code = 'TRANSFER_CONFLICT'
+    Object.assign(this, context)
+  }
+}
+
+class NoRouteFoundError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.sourceAddress]
+   * @param {String} [context.destinationAddress]
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'NoRouteFoundError'
+    this.code = 'NO_ROUTE'
+    Object.assign(this, context)
+  }
+}
+
+class NoQuoteError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.destinationAddress]
+   * @param {Object[]} [context.connectorErrors] [{connector, error}] Why each connector failed to quote
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'NoQuoteError'
+    this.code = 'NO_QUOTE'
+    Object.assign(this, context)
+  }
+}
+
+class QuoteTimeoutError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.connector] The connector that didn't answer
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'QuoteTimeoutError'
+    this.code = 'QUOTE_TIMEOUT'
+    Object.assign(this, context)
+  }
+}
+
+class RemoteQuoteError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.connector] The connector that refused to quote
+   * @param {String} [context.remoteName] The name of the connector's error, e.g. "NoRouteFoundError"
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'RemoteQuoteError'
+    this.code = 'REMOTE_QUOTE_ERROR'
+    Object.assign(this, context)
+  }
+}
+
+class MessageTimeoutError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.to] The peer that didn't respond
+   * @param {String} [context.method] The request method
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'MessageTimeoutError'
+    this.code = 'MESSAGE_TIMEOUT'
+    Object.assign(this, context)
+  }
+}
+
+class RemoteError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.from] The peer that responded with the error
+   * @param {String} [context.remoteName] The name of the peer's error
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'RemoteError'
+    this.code = 'REMOTE_ERROR'
+    Object.assign(this, context)
+  }
+}
+
+class PluginNotConnectedError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.prefix] The ledger prefix of the client
+   * @param {Error} [context.cause] The error the plugin failed with
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'PluginNotConnectedError'
+    this.code = 'PLUGIN_NOT_CONNECTED'
+    Object.assign(this, context)
+  }
+}
+
+class TransferRejectedError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.transferId]
+   * @param {Object} [context.reason] The ILP error the transfer was rejected with (see `ilpError`)
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'TransferRejectedError'
+    this.code = 'TRANSFER_REJECTED'
+    Object.assign(this, context)
+  }
+}
+
+class TransferCancelledError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.transferId]
+   * @param {Object} [context.reason] Why the ledger cancelled the transfer, as an ILP error (see `ilpError`)
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'TransferCancelledError'
+    this.code = 'TRANSFER_CANCELLED'
+    Object.assign(this, context)
+  }
+}
+
+class InvalidArgumentError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.field] Name of the missing or invalid parameter, e.g. "destinationAccount"
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'InvalidArgumentError'
+    this.code = 'INVALID_ARGUMENT'
+    Object.assign(this, context)
+  }
+}
+
+class QuoteExpiredError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.quoteExpiresAt]
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'QuoteExpiredError'
+    this.code = 'QUOTE_EXPIRED'
+    Object.assign(this, context)
+  }
+}
+
+class SlippageError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.field] The amount that moved too far, "sourceAmount" or "destinationAmount"
+   * @param {String} [context.amount] The quoted amount
+   * @param {String} [context.limit] The `maxSourceAmount` or `minDestinationAmount` it crossed
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'SlippageError'
+    this.code = 'SLIPPAGE'
+    Object.assign(this, context)
+  }
+}
+
+class TransferExpiredError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [context]
+   * @param {String} [context.transferId]
+   */
+  constructor (message, context) {
+    super(message)
+    this.name = 'TransferExpiredError'
+    this.code = 'TRANSFER_EXPIRED'
+    Object.assign(this, context)
+  }
+}
+
+class DisconnectedError extends Error {
+  /**
+   * @param {String} message
+   */
+  constructor (message) {
+    super(message)
+    this.name = 'DisconnectedError'
+    this.code = 'DISCONNECTED'
+  }
+}
+
+module.exports = {
+  InvalidAmountError,
+  PluginInterfaceError,
+  InvalidConditionError,
+  InvalidFulfillmentError,
+  InvalidPacketError,
+  InvalidPaymentRequestError,
+  PartialPaymentError,
+  TransferConflictError,
+  NoRouteFoundError,
+  NoQuoteError,
+  QuoteTimeoutError,
+  RemoteQuoteError,
+  MessageTimeoutError,
+  RemoteError,
+  PluginNotConnectedError,
+  TransferRejectedError,
+  TransferCancelledError,
+  InvalidArgumentError,
+  QuoteExpiredError,
+  SlippageError,
+  TransferExpiredError,
+  DisconnectedError
+}
@@ -0,0 +1,138 @@
+'use strict'
+
+const isUndefined = require('lodash/fp/isUndefined')
+const omitUndefined = require('lodash/fp/omitBy')(isUndefined)
+
+// https://github.com/interledger/rfcs/blob/master/0003-interledger-protocol/0003-interledger-protocol.md#error-codes
+const ERROR_NAMES = {
+  F00: 'Bad Request',
+  F01: 'Invalid Packet',
+  F02: 'Unreachable',
+  F03: 'Invalid Amount',
+  F04: 'Insufficient Destination Amount',
+  F05: 'Wrong Condition',
+  F06: 'Unexpected Payment',
+  F07: 'Cannot Receive',
+  F99: 'Application Error',
+  T00: 'Internal Error',
+  T01: 'Ledger Unreachable',
+  T02: 'Ledger Busy',
+  T03: 'Connector Busy',
+  T04: 'Insufficient Liquidity',
+  T05: 'Rate Limited',
+  T99: 'Application Error',
+  R00: 'Transfer Timed Out',
+  R01: 'Insufficient Source Amount',
+  R02: 'Insufficient Timeout',
+  R99: 'Application Error'
+}
+
+const CATEGORIES = {
+  F: 'final', // retrying the same payment won't help
+  T: 'temporary', // the same payment may succeed later
+  R: 'relative' // the payment may succeed with different parameters, e.g. a longer expiry
+}
+
+/**
+ * @param {*} code
+ * @returns {Boolean} Whether `code` is an ILP error code, e.g. "F02"
+ */
+function isErrorCode (code) {
+  return typeof code === 'string' && /^[FTR][0-9]{2}$/.test(code)
+}
+
+/**
+ * @param {String} code An ILP error code
+ * @returns {String} "final", "temporary" or "relative"
+ */
+function getCategory (code) {
+  return CATEGORIES[code[0]]
+}
+
+/**
+ * @param {String} code An ILP error code
+ * @returns {String} The standard name for the code, e.g. "Unreachable" for "F02"
+ */
+function getName (code) {
+  return ERROR_NAMES[code] || ERROR_NAMES[code[0] + '99']
+}
+
+/**
+ * Build an ILP error.
+ * @param {Object} params
+ * @param {String} params.code ILP error code, e.g. "F04"
+ * @param {String} [params.name] Defaults to the standard name for the code
+ * @param {String} [params.message]
+ * @param {IlpAddress} [params.triggeredBy] Who produced the error
+ * @param {String} [params.triggeredAt] When. Defaults to now.
+ * @param {Object} [params.data] Additional information
+ * @returns {Object} {code, name, category, triggeredBy, triggeredAt, message, data}
+ * @throws {TypeError} If the code is not an ILP error code
+ */
+function create (params) {
+  if (!isErrorCode(params.code)) {
+    throw new TypeError('ILP error code must be F, T or R followed by two digits: ' + params.code)
+  }
+  return omitUndefined({
+    code: params.code,
+    name: params.name || getName(params.code),
+    category: getCategory(params.code),
+    triggeredBy: params.triggeredBy,
+    triggeredAt: params.triggeredAt || (new Date()).toISOString(),
+    message: params.message || '',
+    data: params.data || {}
+  })
+}
+
+/**
+ * Turn a reject or cancel reason from a ledger plugin into an ILP error.
+ * Plugins report reasons as `{code, name, message, triggered_by, triggered_at,
+ * additional_info}`, as a string such as "expired", or not at all.
+ *
+ * @param {Object|String} [reason]
+ * @param {Object} defaults
+ * @param {String} defaults.code Code to use if the reason doesn't have a valid one
+ * @param {IlpAddress} [defaults.triggeredBy]
+ * @returns {Object} {code, name, category, triggeredBy, triggeredAt, message, data}.
+ *   `triggeredBy` and `triggeredAt` are omitted if unknown.
+ */
+function normalize (reason, defaults) {
+  if (typeof reason === 'string') reason = {message: reason}
+  if (!reason || typeof reason !== 'object') reason = {}
+  const hasCode = isErrorCode(reason.code)
+  const code = hasCode ? reason.code : defaults.code
+  return omitUndefined({
+    code,
+    // a name only means something together with its code
+    name: (hasCode && typeof reason.name === 'string' && reason.name) || getName(code),
+    category: getCategory(code),
+    triggeredBy: reason.triggeredBy || reason.triggered_by || defaults.triggeredBy,
+    triggeredAt: reason.triggeredAt || reason.triggered_at,
+    message: typeof reason.message === 'string' ? reason.message : '',
+    data: reason.data || reason.additional_info || {}
+  })
+}
+
+/**
+ * @param {Object} ilpError From `create` or `normalize`
+ * @returns {Object} The reason in the form plugins expect, e.g. for `rejectIncomingTransfer`
+ */
+function toLedgerReason (ilpError) {
+  return omitUndefined({
+    code: ilpError.code,
+    name: ilpError.name,
+    message: ilpError.message,
+    triggered_by: ilpError.triggeredBy,
+    triggered_at: ilpError.triggeredAt,
+    additional_info: ilpError.data
+  })
+}
+
+module.exports = {
+  isErrorCode,
+  getCategory,
+  getName,
+  create,
+  normalize,
+  toLedgerReason
+}
@@ -0,0 +1,40 @@
+'use strict'
+
+const packet = require('ilp-packet')
+const base64url = require('./base64url')
+const errors = require('./errors')
+const MemoCodecs = require('./memoCodecs')
+
+const defaultMemoCodecs = new MemoCodecs()
+
+/**
+ * Decode the `ilp` field of a transfer.
+ *
+ * @param {String} ilp base64-encoded ILP payment packet
+ * @param {MemoCodecs} [memoCodecs] Codecs for decoding the memo; defaults to the built-in ones
+ * @returns {Object} {destinationAccount, destinationAmount, destinationMemo, memoCodec}
+ * @throws {InvalidPacketError} If the packet or its memo can't be decoded
+ */
+function parsePayment (ilp, memoCodecs) {
+  if (typeof ilp !== 'string' || !ilp) {
+    throw new errors.InvalidPacketError('ILP payment packet must be a non-empty string')
+  }
+  let payment
+  try {
+    payment = packet.deserializeIlpPayment(base64url.decode(ilp))
+  } catch (err) {
+    throw new errors.InvalidPacketError('Invalid ILP payment packet: ' + err.message)
+  }
+  const memo = (memoCodecs || defaultMemoCodecs).decode(payment.data)
+  return {
+    destinationAccount: payment.account,
+    destinationAmount: payment.amount,
+    destinationMemo: memo.memo,
+    memoCodec: memo.codec
+  }
+}
+
+module.exports = {
+  defaultMemoCodecs,
+  parsePayment
+}
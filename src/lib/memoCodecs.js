@@ -0,0 +1,111 @@
+'use strict'
+
+const base64url = require('./base64url')
+const errors = require('./errors')
+
+/**
+ * Memos are encoded into the data field of the ILP payment packet. JSON memos
+ * are written as-is, so they stay readable by receivers that don't know about
+ * codecs. Any other codec is marked with a header: a zero byte (which can't
+ * start a JSON text), the length of the codec name, then the name itself.
+ */
+const HEADER_MARKER = 0
+
+// codec names come from incoming packets, so these have no prototype to hit
+const BUILTIN_CODECS = Object.assign(Object.create(null), {
+  json: {
+    encode: (memo) => Buffer.from(JSON.stringify(memo)),
+    decode: (buffer) => JSON.parse(buffer.toString('utf8'))
+  },
+  text: {
+    encode: (memo) => Buffer.from(String(memo), 'utf8'),
+    decode: (buffer) => buffer.toString('utf8')
+  },
+  binary: {
+    encode: (memo) => Buffer.from(memo),
+    decode: (buffer) => buffer
+  }
+})
+
+class MemoCodecs {
+  constructor () {
+    this.codecs = Object.assign(Object.create(null), BUILTIN_CODECS) // { name ⇒ {encode, decode} }
+  }
+
+  /**
+   * @param {String} name 1-255 ASCII characters
+   * @param {Object} codec
+   * @param {Function} codec.encode memo ⇒ Buffer
+   * @param {Function} codec.decode Buffer ⇒ memo
+   */
+  register (name, codec) {
+    if (typeof name !== 'string' || !/^[\x21-\x7e]{1,255}$/.test(name)) {
+      throw new TypeError('Memo codec name must be 1-255 printable ASCII characters')
+    }
+    if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+      throw new TypeError('Memo codec must have encode and decode functions')
+    }
+    this.codecs[name] = codec
+  }
+
+  /**
+   * @param {String} name
+   */
+  unregister (name) {
+    if (BUILTIN_CODECS[name]) {
+      throw new Error('Cannot unregister built-in memo codec: ' + name)
+    }
+    delete this.codecs[name]
+  }
+
+  /**
+   * @param {*} memo
+   * @param {String} [name] Codec to use; defaults to "binary" for Buffers and "json" otherwise
+   * @returns {String} base64url-encoded packet data
+   */
+  encode (memo, name) {
+    if (memo === undefined) return ''
+    name = name || (Buffer.isBuffer(memo) ? 'binary' : 'json')
+    const codec = this.codecs[name]
+    if (!codec) {
+      throw new Error('Unknown memo codec: ' + name)
+    }
+    const body = codec.encode(memo)
+    if (!Buffer.isBuffer(body)) {
+      throw new Error('Memo codec ' + name + ' must encode to a Buffer')
+    }
+    if (name === 'json') return base64url.encode(body)
+    const header = Buffer.from([HEADER_MARKER, name.length])
+    return base64url.encode(Buffer.concat([header, Buffer.from(name, 'ascii'), body]))
+  }
+
+  /**
+   * @param {String} data base64url-encoded packet data
+   * @returns {Object} {memo, codec} The memo is undefined if there is no data
+   * @throws {InvalidPacketError} If the codec is unknown or can't decode the memo
+   */
+  decode (data) {
+    if (!data) return {memo: undefined, codec: undefined}
+    let buffer = base64url.decode(data)
+    let name = 'json'
+    if (buffer[0] === HEADER_MARKER) {
+      const nameLength = buffer[1] || 0
+      if (!nameLength || buffer.length < 2 + nameLength) {
+        throw new errors.InvalidPacketError('ILP payment memo has a truncated codec header')
+      }
+      name = buffer.slice(2, 2 + nameLength).toString('ascii')
+      buffer = buffer.slice(2 + nameLength)
+    }
+    const codec = this.codecs[name]
+    if (!codec) {
+      throw new errors.InvalidPacketError('Unknown memo codec: ' + name)
+    }
+    try {
+      return {memo: codec.decode(buffer), codec: name}
+    } catch (err) {
+      throw new errors.InvalidPacketError('Could not decode ' + name + ' memo: ' + err.message)
+    }
+  }
+}
+
+module.exports = MemoCodecs
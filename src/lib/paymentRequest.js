@@ -0,0 +1,80 @@
+'use strict'
+
+const isUndefined = require('lodash/fp/isUndefined')
+const omitUndefined = require('lodash/fp/omitBy')(isUndefined)
+const errors = require('./errors')
+const condition = require('./condition')
+const validateAmount = require('./amount').validateAmount
+
+const ADDRESS_REGEX = /^[a-zA-Z0-9._~-]+$/
+
+/**
+ * A payment request tells a sender where to pay, how much, and with which
+ * execution condition:
+ *
+ *   {address, amount, executionCondition, expiresAt, memo}
+ *
+ * `amount` is in display units. `memo`, if present, must be JSON-serializable;
+ * the sender includes it as the payment's `destinationMemo`.
+ */
+
+/**
+ * @param {Object} request
+ * @returns {String}
+ */
+function serialize (request) {
+  return JSON.stringify(omitUndefined({
+    address: request.address,
+    amount: request.amount,
+    executionCondition: request.executionCondition,
+    expiresAt: request.expiresAt,
+    memo: request.memo
+  }))
+}
+
+/**
+ * @param {String|Object} serialized A serialized payment request, or a request object
+ * @returns {Object} {address, amount, executionCondition, expiresAt, memo}
+ * @throws {InvalidPaymentRequestError}
+ */
+function parse (serialized) {
+  let request = serialized
+  if (typeof serialized === 'string') {
+    try {
+      request = JSON.parse(serialized)
+    } catch (err) {
+      throw new errors.InvalidPaymentRequestError('Payment request is not valid JSON: ' + err.message)
+    }
+  }
+  if (!request || typeof request !== 'object') {
+    throw new errors.InvalidPaymentRequestError('Payment request must be an object')
+  }
+  if (typeof request.address !== 'string' || !ADDRESS_REGEX.test(request.address)) {
+    throw new errors.InvalidPaymentRequestError('Payment request address is not a valid ILP address: ' + request.address)
+  }
+  for (let check of [
+    () => validateAmount('amount', request.amount),
+    () => condition.validateCondition(request.executionCondition)
+  ]) {
+    try {
+      check()
+    } catch (err) {
+      throw new errors.InvalidPaymentRequestError('Invalid payment request: ' + err.message)
+    }
+  }
+  if (typeof request.expiresAt !== 'string' || isNaN(Date.parse(request.expiresAt))) {
+    throw new errors.InvalidPaymentRequestError('Payment request expiresAt is not a valid timestamp: ' + request.expiresAt)
+  }
+  return omitUndefined({
+    address: request.address,
+    amount: String(request.amount),
+    executionCondition: request.executionCondition,
+    expiresAt: request.expiresAt,
+    memo: request.memo
+  })
+}
+
+module.exports = {
+  serialize,
+  parse
+}
@@ -0,0 +1,99 @@
+'use strict'
+
+// How long a quote is good for, unless the connector says otherwise. Shared by Client and Core.
+const DEFAULT_QUOTE_VALIDITY = 30000 // milliseconds
+
+class QuoteCache {
+  /**
+   * @param {Integer} ttl The number of milliseconds to keep a quote
+   */
+  constructor (ttl) {
+    this.ttl = ttl
+    this.entries = {} // { key ⇒ {quote, expiresAt} }
+    this.nextSweep = Date.now() + ttl
+  }
+
+  static get DEFAULT_QUOTE_VALIDITY () {
+    return DEFAULT_QUOTE_VALIDITY
+  }
+
+  /**
+   * @param {Object} query The quote parameters. `select` must be a selector name, if set.
+   * @returns {String}
+   */
+  static getKey (query) {
+    return JSON.stringify([
+      query.destinationAddress,
+      query.sourceAmount,
+      query.destinationAmount,
+      query.destinationExpiryDuration,
+      query.connectors,
+      query.slippage,
+      query.select
+    ])
+  }
+
+  /**
+   * @param {String} key
+   * @returns {Object|undefined} A copy of the cached quote, unless it has expired
+   */
+  get (key) {
+    const entry = this.entries[key]
+    if (!entry) return
+    if (entry.expiresAt <= Date.now()) {
+      delete this.entries[key]
+      return
+    }
+    return Object.assign({}, entry.quote)
+  }
+
+  /**
+   * @param {String} key
+   * @param {Object} quote
+   * @param {String} [quoteExpiresAt] When the connector's quote expires
+   */
+  set (key, quote, quoteExpiresAt) {
+    this._sweep()
+    const expiresAt = Math.min(Date.now() + this.ttl,
+      quoteExpiresAt ? Date.parse(quoteExpiresAt) : Infinity)
+    this.entries[key] = {quote: Object.assign({}, quote), expiresAt}
+  }
+
+  /**
+   * Drop all cached quotes through the given connector.
+   * @param {IlpAddress} connectorAccount
+   */
+  invalidateConnector (connectorAccount) {
+    for (const key of Object.keys(this.entries)) {
+      if (this.entries[key].quote.connectorAccount === connectorAccount) {
+        delete this.entries[key]
+      }
+    }
+  }
+
+  clear () {
+    this.entries = {}
+  }
+
+  /**
+   * @returns {Integer} The number of cached quotes, including expired ones not yet swept
+   */
+  get size () {
+    return Object.keys(this.entries).length
+  }
+
+  /**
+   * Drop expired quotes, at most once per ttl, so quotes for amounts that are
+   * never asked for again don't pile up.
+   */
+  _sweep () {
+    const now = Date.now()
+    if (now < this.nextSweep) return
+    this.nextSweep = now + this.ttl
+    for (const key of Object.keys(this.entries)) {
+      if (this.entries[key].expiresAt <= now) delete this.entries[key]
+    }
+  }
+}
+
+module.exports = QuoteCache
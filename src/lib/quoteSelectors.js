@@ -0,0 +1,41 @@
+'use strict'
+
+const BigNumber = require('bignumber.js')
+
+/**
+ * Comparators for choosing between connector quotes (as returned by
+ * `Client#quoteAll`). Each returns a negative number if `quote1` is the
+ * better quote, a positive number if `quote2` is, and 0 if they are equal.
+ */
+
+function cheapestSource (quote1, quote2) {
+  return compareAmounts(quote1.sourceAmount, quote2.sourceAmount) ||
+    compareAmounts(quote2.destinationAmount, quote1.destinationAmount)
+}
+
+function bestDestination (quote1, quote2) {
+  return compareAmounts(quote2.destinationAmount, quote1.destinationAmount) ||
+    compareAmounts(quote1.sourceAmount, quote2.sourceAmount)
+}
+
+function shortestExpiry (quote1, quote2) {
+  return (parseDuration(quote1.sourceExpiryDuration) - parseDuration(quote2.sourceExpiryDuration)) ||
+    cheapestSource(quote1, quote2)
+}
+
+function compareAmounts (amount1, amount2) {
+  if (amount1 === amount2) return 0
+  if (amount1 === undefined) return 1
+  if (amount2 === undefined) return -1
+  return (new BigNumber(amount1)).comparedTo(amount2)
+}
+
+function parseDuration (duration) {
+  return duration === undefined ? Infinity : parseFloat(duration)
+}
+
+module.exports = {
+  cheapestSource,
+  bestDestination,
+  shortestExpiry
+}
@@ -0,0 +1,184 @@
+'use strict'
+
+const crypto = require('crypto')
+const uuid = require('uuid')
+const BigNumber = require('bignumber.js')
+const EventEmitter = require('eventemitter2')
+const base64url = require('./base64url')
+const condition = require('./condition')
+const debug = require('debug')('ilp-core')
+
+const DEFAULT_REQUEST_EXPIRY_DURATION = 60 // seconds
+const MIN_SECRET_LENGTH = 32 // bytes
+
+/**
+ * Fulfills incoming payments for the payment requests it created.
+ *
+ * Requests are created with `Client#createPaymentRequest`, using a
+ * fulfillment derived from the receiver's secret and the request id. When a
+ * prepared transfer for a request's address arrives, its amount, expiry and
+ * condition are checked against the request, and the transfer is either
+ * fulfilled or rejected. Transfers for unknown requests or requests the
+ * receiver didn't create are left alone, as are transfers that have already
+ * expired. Since ownership is recognized by the condition alone, a
+ * receiver with the same secret picks up where the last one left off, e.g.
+ * after a restart with a persistent `clientOpts.store`.
+ *
+ * Events:
+ *   fulfill (transfer, fulfillment, request)
+ *   reject (transfer, reason, request) `reason` is the ILP error the transfer
+ *     was rejected with (see `Client#rejectIncomingTransfer`).
+ */
+class Receiver extends EventEmitter {
+  /**
+   * @param {Client} client
+   * @param {Object} opts
+   * @param {Buffer} opts.secret At least 32 random bytes. Keep it private: anyone who knows it can fulfill our payments.
+   * @param {Number} [opts.requestExpiryDuration] Default number of seconds a payment request is valid for
+   */
+  constructor (client, opts) {
+    super()
+    if (!opts || !Buffer.isBuffer(opts.secret) || opts.secret.length < MIN_SECRET_LENGTH) {
+      throw new TypeError('"opts.secret" must be a Buffer of at least ' + MIN_SECRET_LENGTH + ' bytes')
+    }
+    if (opts.requestExpiryDuration !== undefined &&
+        !(typeof opts.requestExpiryDuration === 'number' && opts.requestExpiryDuration > 0)) {
+      throw new TypeError('"opts.requestExpiryDuration" must be a positive number')
+    }
+    this.client = client
+    this.secret = opts.secret
+    this.requestExpiryDuration = opts.requestExpiryDuration || DEFAULT_REQUEST_EXPIRY_DURATION
+    this.listening = false
+
+    this._onIncomingPayment = this._onIncomingPayment.bind(this)
+    this._onIncomingPaymentError = this._onIncomingPaymentError.bind(this)
+  }
+
+  /**
+   * Start fulfilling incoming payments.
+   */
+  listen () {
+    if (this.listening) return
+    this.client.on('incoming_payment', this._onIncomingPayment)
+    this.client.on('incoming_payment_error', this._onIncomingPaymentError)
+    this.listening = true
+  }
+
+  /**
+   * Stop handling incoming payments. Outstanding requests are kept, so
+   * payments for them are handled again after `listen`.
+   */
+  stop () {
+    this.client.off('incoming_payment', this._onIncomingPayment)
+    this.client.off('incoming_payment_error', this._onIncomingPaymentError)
+    this.listening = false
+  }
+
+  /**
+   * @param {Object} params
+   * @param {String} params.amount Amount to receive
+   * @param {String} [params.expiresAt] When the request expires. Defaults to `requestExpiryDuration` from now.
+   * @param {*} [params.memo] JSON-serializable memo the sender should include
+   * @param {String} [params.id] Request id (a UUID by default)
+   * @returns {Object} The payment request (see `Client#createPaymentRequest`)
+   */
+  createRequest (params) {
+    const id = params.id || uuid.v4()
+    return this.client.createPaymentRequest({
+      id,
+      amount: params.amount,
+      executionCondition: condition.fulfillmentToCondition(this._getFulfillment(id)),
+      expiresAt: params.expiresAt ||
+        (new Date(Date.now() + this.requestExpiryDuration * 1000)).toISOString(),
+      memo: params.memo
+    })
+  }
+
+  /**
+   * @param {String} id
+   */
+  cancelRequest (id) {
+    const request = this.client.getPaymentRequest(id)
+    if (!request || !this._isOwnRequest(request)) return
+    this.client.removePaymentRequest(id)
+  }
+
+  _isOwnRequest (request) {
+    return condition.fulfillmentToCondition(this._getFulfillment(request.id)) === request.executionCondition
+  }
+
+  _findOwnRequest (executionCondition) {
+    const normalized = executionCondition.replace(/=+$/, '')
+    return this.client.getPaymentRequests().find((request) =>
+      request.executionCondition.replace(/=+$/, '') === normalized && this._isOwnRequest(request))
+  }
+
+  _getFulfillment (requestId) {
+    return base64url.encode(crypto.createHmac('sha256', this.secret)
+      .update('ilp-core receiver fulfillment: ' + requestId)
+      .digest())
+  }
+
+  _getRequestId (destinationAccount) {
+    const prefix = this.client.getPlugin().getAccount() + '.'
+    if (typeof destinationAccount !== 'string' || !destinationAccount.startsWith(prefix)) return
+    return destinationAccount.slice(prefix.length)
+  }
+
+  _onIncomingPayment (transfer, payment) {
+    // Optimistic transfers have nothing to fulfill
+    if (!transfer.executionCondition) return
+    const requestId = this._getRequestId(payment.destinationAccount)
+    if (requestId === undefined) return
+
+    const request = this.client.getPaymentRequest(requestId)
+    if (!request || !this._isOwnRequest(request)) return
+    if (request.status === 'expired') {
+      return this._reject(transfer, 'R00', 'Payment request expired at ' + request.expiresAt, request)
+    }
+    // The client has already matched the transfer to the request if it checks out
+    if (request.transferId !== transfer.id) {
+      if (request.status !== 'pending') {
+        return this._reject(transfer, 'F99',
+          'Payment request ' + request.id + ' has already been paid', request)
+      }
+      if ((new BigNumber(transfer.amount)).lessThan(request.amount)) {
+        return this._reject(transfer, 'F04',
+          'Transfer amount ' + transfer.amount + ' is less than the requested ' + request.amount, request)
+      }
+      return this._reject(transfer, 'F05',
+        'Transfer condition does not match payment request ' + request.id, request)
+    }
+
+    // The ledger wouldn't accept the fulfillment anyway
+    if (transfer.expiresAt && Date.parse(transfer.expiresAt) <= Date.now()) {
+      debug('not fulfilling transfer ' + transfer.id + ', which expired at ' + transfer.expiresAt)
+      return
+    }
+
+    const fulfillment = this._getFulfillment(request.id)
+    return this.client.fulfillCondition(transfer.id, fulfillment)
+      .then(() => this.emitAsync('fulfill', transfer, fulfillment, request), (err) => {
+        // Plugins don't handle errors from their event listeners, so just log it
+        debug('failed to fulfill transfer ' + transfer.id + ': ' + err.message)
+      })
+  }
+
+  _onIncomingPaymentError (transfer, err) {
+    if (!transfer.executionCondition) return
+    // Without a readable packet there's no address, so only the condition tells if the transfer is for us
+    const request = this._findOwnRequest(transfer.executionCondition)
+    if (!request) return
+    return this._reject(transfer, 'F01', err.message, request)
+  }
+
+  _reject (transfer, code, message, request) {
+    return this.client.rejectIncomingTransfer(transfer.id, {code, message})
+      .then((reason) => this.emitAsync('reject', transfer, reason, request))
+      .catch((err) => {
+        debug('failed to reject transfer ' + transfer.id + ': ' + err.message)
+      })
+  }
+}
+
+module.exports = Receiver
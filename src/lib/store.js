@@ -0,0 +1,134 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Stores persist the state Clients need to resume after a restart. They use
+ * the same interface as ledger plugin stores:
+ *
+ *   get(key) ⇒ Promise.<String|undefined>
+ *   put(key, value) ⇒ Promise
+ *   del(key) ⇒ Promise
+ *
+ * Values are strings.
+ */
+
+class MemoryStore {
+  constructor () {
+    this.data = {}
+  }
+
+  get (key) {
+    return Promise.resolve(this.data[key])
+  }
+
+  put (key, value) {
+    this.data[key] = String(value)
+    return Promise.resolve()
+  }
+
+  del (key) {
+    delete this.data[key]
+    return Promise.resolve()
+  }
+}
+
+/**
+ * Keeps all keys in a single JSON file. Writes go to a temporary file that
+ * then replaces the old one, so a crash mid-write leaves the previous
+ * contents intact.
+ */
+class FileStore {
+  /**
+   * @param {String} file Path of the JSON file. It is created on the first write.
+   */
+  constructor (file) {
+    if (typeof file !== 'string' || !file) {
+      throw new TypeError('file must be a path')
+    }
+    this.file = path.resolve(file)
+    this.data = null // loaded lazily
+    this.writes = Promise.resolve()
+  }
+
+  get (key) {
+    return this._load().then((data) => data[key])
+  }
+
+  put (key, value) {
+    return this._load().then((data) => {
+      data[key] = String(value)
+      return this._write()
+    })
+  }
+
+  del (key) {
+    return this._load().then((data) => {
+      delete data[key]
+      return this._write()
+    })
+  }
+
+  _load () {
+    if (!this.data) {
+      this.data = new Promise((resolve, reject) => {
+        fs.readFile(this.file, 'utf8', (err, contents) => {
+          if (err && err.code === 'ENOENT') return resolve({})
+          if (err) return reject(err)
+          try {
+            resolve(JSON.parse(contents))
+          } catch (err) {
+            reject(new Error('Store file is not valid JSON: ' + this.file))
+          }
+        })
+      })
+      // let a later call retry if the file could not be read
+      this.data.catch(() => { this.data = null })
+    }
+    return this.data
+  }
+
+  _write () {
+    // writes are queued so an older snapshot never replaces a newer one
+    this.writes = this.writes.catch(() => {}).then(() => this._load()).then((data) => {
+      const tmpFile = this.file + '.tmp'
+      return new Promise((resolve, reject) => {
+        fs.writeFile(tmpFile, JSON.stringify(data), (err) => {
+          if (err) return reject(err)
+          fs.rename(tmpFile, this.file, (err) => err ? reject(err) : resolve())
+        })
+      })
+    })
+    return this.writes
+  }
+}
+
+/**
+ * @param {Object} store
+ * @returns {String[]} The missing store methods
+ */
+function getMissingMethods (store) {
+  return ['get', 'put', 'del'].filter((method) => !store || typeof store[method] !== 'function')
+}
+
+/**
+ * Share a store between several Clients by prefixing their keys.
+ * @param {Object} store
+ * @param {String} prefix
+ * @returns {Object} A store
+ */
+function prefixStore (store, prefix) {
+  return {
+    get: (key) => store.get(prefix + key),
+    put: (key, value) => store.put(prefix + key, value),
+    del: (key) => store.del(prefix + key)
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  getMissingMethods,
+  prefixStore
+}
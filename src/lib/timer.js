@@ -0,0 +1,42 @@
+'use strict'
+
+// setTimeout fires right away for longer delays
+const MAX_TIMEOUT = 2147483647 // milliseconds
+
+/**
+ * Call `callback` at `time`, even if that is further away than setTimeout
+ * allows. Unless `options.ref` is set, the timer doesn't keep the process
+ * alive.
+ *
+ * @param {Function} callback
+ * @param {Number} time Milliseconds since the epoch, e.g. from `Date.parse`
+ * @param {Object} [options]
+ * @param {Boolean} [options.ref=false] Keep the process alive until the timer fires
+ * @returns {Object} A timer for `clearTimer`
+ */
+function setTimer (callback, time, options) {
+  const ref = Boolean(options && options.ref)
+  const timer = {}
+  const arm = () => {
+    const delay = time - Date.now()
+    timer.timeout = (delay > MAX_TIMEOUT)
+      ? setTimeout(arm, MAX_TIMEOUT)
+      : setTimeout(callback, Math.max(delay, 0) || 0)
+    if (!ref && timer.timeout.unref) timer.timeout.unref()
+  }
+  arm()
+  return timer
+}
+
+/**
+ * @param {Object} [timer] From `setTimer`
+ */
+function clearTimer (timer) {
+  if (timer) clearTimeout(timer.timeout)
+}
+
+module.exports = {
+  MAX_TIMEOUT,
+  setTimer,
+  clearTimer
+}
@@ -0,0 +1,169 @@
+'use strict'
+
+const timer = require('./timer')
+
+const FINAL_STATES = ['fulfilled', 'unverified', 'rejected', 'cancelled']
+
+/**
+ * Registry of our outgoing transfers and their state: "prepared" until the
+ * ledger reports an outcome ("fulfilled", "unverified", "rejected" or
+ * "cancelled"), or "expired" if `expiresAt` passes first. A late outcome still overrides
+ * "expired", since the ledger has the final say.
+ *
+ * Settled transfers are forgotten `ttl` milliseconds after they settle.
+ */
+class TransferTracker {
+  /**
+   * @param {Object} opts
+   * @param {Integer} opts.ttl The number of milliseconds to keep settled transfers
+   * @param {Function} opts.onExpire Called with the record of a transfer that expired without an outcome
+   * @param {Function} [opts.onChange] Called with the transfer id whenever a record is added, updated or removed
+   */
+  constructor (opts) {
+    this.ttl = opts.ttl
+    this.onExpire = opts.onExpire
+    this.onChange = opts.onChange || (() => {})
+    // keyed by transfer ids, which callers may take from peers
+    this.transfers = Object.create(null) // { id ⇒ record }
+    this.timers = Object.create(null) // { id ⇒ expiry timer }
+  }
+
+  /**
+   * @param {Object} transfer As passed to `plugin.sendTransfer`
+   * @param {Object} [fields] More to record, e.g. the `payment` it was sent for
+   * @returns {Object} A copy of the new record
+   */
+  add (transfer, fields) {
+    this._removeSettled()
+    const record = Object.assign({
+      id: transfer.id,
+      account: transfer.account,
+      amount: transfer.amount,
+      executionCondition: transfer.executionCondition,
+      expiresAt: transfer.expiresAt
+    }, fields, {
+      state: 'prepared',
+      preparedAt: (new Date()).toISOString()
+    })
+    this.transfers[transfer.id] = record
+    this._watch(record)
+    this.onChange(transfer.id)
+    return Object.assign({}, record)
+  }
+
+  /**
+   * Reload records, e.g. from a store after a restart. Records we already
+   * have take precedence. Prepared transfers that expired in the meantime
+   * expire right away.
+   * @param {Object[]} records
+   */
+  restore (records) {
+    for (const record of records) {
+      if (this.transfers[record.id]) continue
+      this.transfers[record.id] = Object.assign({}, record)
+      this._watch(record)
+    }
+  }
+
+  /**
+   * @param {String} id
+   * @returns {Object|undefined} A copy of the record
+   */
+  get (id) {
+    const record = this.transfers[id]
+    return record && Object.assign({}, record)
+  }
+
+  /**
+   * @returns {Object[]} Copies of all records
+   */
+  list () {
+    return Object.keys(this.transfers).map((id) => this.get(id))
+  }
+
+  /**
+   * Record the outcome of a transfer.
+   * @param {String} id
+   * @param {String} state "fulfilled", "unverified" (fulfilled, but not with the transfer's condition),
+   *   "rejected" or "cancelled"
+   * @param {Object} [fields] e.g. `fulfillment` or `reason`
+   * @returns {Object|undefined} A copy of the updated record, or undefined if the transfer isn't tracked
+   */
+  settle (id, state, fields) {
+    const record = this.transfers[id]
+    if (!record || FINAL_STATES.indexOf(record.state) !== -1) return
+    timer.clearTimer(this.timers[id])
+    delete this.timers[id]
+    Object.assign(record, fields, {state, settledAt: (new Date()).toISOString()})
+    this.onChange(id)
+    return Object.assign({}, record)
+  }
+
+  /**
+   * Forget a transfer, e.g. because it could not be sent.
+   * @param {String} id
+   */
+  remove (id) {
+    timer.clearTimer(this.timers[id])
+    delete this.timers[id]
+    delete this.transfers[id]
+    this.onChange(id)
+  }
+
+  /**
+   * Stop watching for expiry, e.g. while disconnected.
+   */
+  stopTimers () {
+    for (const id of Object.keys(this.timers)) timer.clearTimer(this.timers[id])
+    this.timers = Object.create(null)
+  }
+
+  /**
+   * Watch prepared transfers for expiry again after `stopTimers`. Those that
+   * expired in the meantime expire right away.
+   */
+  startTimers () {
+    for (const id of Object.keys(this.transfers)) {
+      if (!this.timers[id]) this._watch(this.transfers[id])
+    }
+  }
+
+  /**
+   * @returns {Object} { state ⇒ number of transfers }
+   */
+  countByState () {
+    const counts = {}
+    for (const id of Object.keys(this.transfers)) {
+      const state = this.transfers[id].state
+      counts[state] = (counts[state] || 0) + 1
+    }
+    return counts
+  }
+
+  _expire (id) {
+    delete this.timers[id]
+    const record = this.transfers[id]
+    if (!record || record.state !== 'prepared') return
+    record.state = 'expired'
+    record.settledAt = (new Date()).toISOString()
+    this.onChange(id)
+    this.onExpire(Object.assign({}, record))
+  }
+
+  _watch (record) {
+    if (record.state !== 'prepared' || !record.expiresAt) return
+    this.timers[record.id] = timer.setTimer(() => this._expire(record.id), Date.parse(record.expiresAt))
+  }
+
+  _removeSettled () {
+    const cutoff = Date.now() - this.ttl
+    for (const id of Object.keys(this.transfers)) {
+      const settledAt = this.transfers[id].settledAt
+      if (!settledAt || Date.parse(settledAt) > cutoff) continue
+      delete this.transfers[id]
+      this.onChange(id)
+    }
+  }
+}
+
+module.exports = TransferTracker
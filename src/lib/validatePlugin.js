@@ -0,0 +1,111 @@
+'use strict'
+
+const PluginInterfaceError = require('./errors').PluginInterfaceError
+
+const REQUIRED_METHODS = [
+  'on',
+  'connect',
+  'disconnect',
+  'isConnected',
+  'getInfo',
+  'getAccount',
+  'getBalance',
+  'sendTransfer',
+  'sendMessage',
+  'fulfillCondition',
+  'rejectIncomingTransfer'
+]
+
+/**
+ * Check a ledger plugin against the ledger plugin interface.
+ *
+ * Plugins may only be able to report their info and account once they are
+ * connected, so pass `{checkInfo: false}` to check the methods alone.
+ *
+ * @param {LedgerPlugin} plugin An instantiated plugin
+ * @param {Object} [options]
+ * @param {Boolean} [options.checkInfo=true] Also check `getInfo()` and `getAccount()`
+ * @returns {String[]} Every violation found (empty if the plugin conforms)
+ */
+function validatePlugin (plugin, options) {
+  if (!plugin || typeof plugin !== 'object') {
+    return ['plugin must be an object']
+  }
+  const violations = REQUIRED_METHODS
+    .filter((method) => typeof plugin[method] !== 'function')
+    .map((method) => 'missing method ' + method + '()')
+  if (options && options.checkInfo === false) return violations
+
+  let info
+  if (typeof plugin.getInfo === 'function') {
+    try {
+      info = plugin.getInfo()
+      violations.push.apply(violations, validateInfo(info))
+    } catch (err) {
+      violations.push('getInfo() threw: ' + err.message)
+    }
+  }
+
+  if (typeof plugin.getAccount === 'function') {
+    try {
+      violations.push.apply(violations, validateAccount(plugin.getAccount(), info))
+    } catch (err) {
+      violations.push('getAccount() threw: ' + err.message)
+    }
+  }
+  return violations
+}
+
+/**
+ * Like `validatePlugin`, but throws a `PluginInterfaceError` listing every
+ * violation.
+ *
+ * @param {LedgerPlugin} plugin
+ * @param {Object} [options] See `validatePlugin`
+ * @throws {PluginInterfaceError}
+ */
+function assertValidPlugin (plugin, options) {
+  const violations = validatePlugin(plugin, options)
+  if (violations.length) {
+    throw new PluginInterfaceError(
+      'Ledger plugin does not conform to the ledger plugin interface: ' + violations.join('; '),
+      violations)
+  }
+}
+
+function validateInfo (info) {
+  if (!info || typeof info !== 'object') return ['getInfo() must return an object']
+  const violations = []
+  if (typeof info.prefix !== 'string' || info.prefix.slice(-1) !== '.') {
+    violations.push('getInfo().prefix must be a string ending in "."')
+  }
+  for (const field of ['precision', 'scale']) {
+    if (info[field] !== undefined && !isNonNegativeInteger(info[field])) {
+      violations.push('getInfo().' + field + ' must be a non-negative integer')
+    }
+  }
+  if (info.connectors !== undefined && !Array.isArray(info.connectors)) {
+    violations.push('getInfo().connectors must be an array')
+  }
+  return violations
+}
+
+function validateAccount (account, info) {
+  if (typeof account !== 'string' || !account) {
+    return ['getAccount() must return an ILP address']
+  }
+  if (info && typeof info.prefix === 'string' && account.indexOf(info.prefix) !== 0) {
+    return ['getAccount() must start with the ledger prefix ' + info.prefix]
+  }
+  return []
+}
+
+function isNonNegativeInteger (value) {
+  return typeof value === 'number' && value >= 0 && Math.floor(value) === value
+}
+
+module.exports = {
+  REQUIRED_METHODS,
+  validatePlugin,
+  assertValidPlugin
+}
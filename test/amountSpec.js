@@ -0,0 +1,70 @@
+'use strict'
+
+const assert = require('chai').assert
+
+const BigNumber = require('bignumber.js')
+const amount = require('../src/lib/amount')
+const validateAmount = amount.validateAmount
+const InvalidAmountError = require('..').errors.InvalidAmountError
+
+describe('amount', function () {
+  describe('validateAmount', function () {
+    const info = {precision: 5, scale: 2}
+
+    it('accepts amounts that fit the ledger', function () {
+      validateAmount('sourceAmount', '123.45', info)
+      validateAmount('sourceAmount', '100.00', info)
+      validateAmount('sourceAmount', 0.01, info)
+    })
+
+    it('only checks the sign if no ledger info is given', function () {
+      validateAmount('sourceAmount', '123.456789')
+    })
+
+    ;[
+      {amount: 'abc', message: 'sourceAmount is not a number: abc'},
+      {amount: 'Infinity', message: 'sourceAmount is not a number: Infinity'},
+      {amount: {}, message: 'sourceAmount is not a number: [object Object]'},
+      {amount: '-1', message: 'sourceAmount must be positive: -1'},
+      {amount: '0', message: 'sourceAmount must be positive: 0'},
+      {amount: '1.001', message: 'sourceAmount has more than 2 decimal places: 1.001'},
+      {amount: '1234.5', message: 'sourceAmount exceeds the ledger precision of 5 digits: 1234.5'}
+    ].forEach(function (test) {
+      it('throws an InvalidAmountError for ' + JSON.stringify(test.amount), function () {
+        try {
+          validateAmount('sourceAmount', test.amount, info)
+        } catch (err) {
+          assert.instanceOf(err, InvalidAmountError)
+          assert.equal(err.name, 'InvalidAmountError')
+          assert.equal(err.message, test.message)
+          assert.equal(err.field, 'sourceAmount')
+          assert.equal(err.amount, test.amount)
+          return
+        }
+        assert(false, 'expected an error')
+      })
+    })
+  })
+
+  describe('toBaseUnits', function () {
+    it('shifts by the scale', function () {
+      assert.equal(amount.toBaseUnits('1.23', 2), '123')
+      assert.equal(amount.toBaseUnits(5, 3), '5000')
+    })
+
+    it('rounds down by default', function () {
+      assert.equal(amount.toBaseUnits('1.239', 2), '123')
+    })
+
+    it('uses the given rounding mode', function () {
+      assert.equal(amount.toBaseUnits('1.231', 2, BigNumber.ROUND_UP), '124')
+    })
+  })
+
+  describe('fromBaseUnits', function () {
+    it('shifts by the scale', function () {
+      assert.equal(amount.fromBaseUnits('123', 2), '1.23')
+      assert.equal(amount.fromBaseUnits('100', 2), '1')
+    })
+  })
+})
@@ -0,0 +1,125 @@
+'use strict'
+
+const sinon = require('sinon')
+const assert = require('chai').assert
+
+const chunkedPayment = require('../src/lib/chunkedPayment')
+
+describe('chunkedPayment', function () {
+  describe('planChunks', function () {
+    beforeEach(function () {
+      this.quotes = [{
+        connector: 'example.blue.worse',
+        sourceAmount: '0.01',
+        destinationAmount: '0.005',
+        liquidityCurve: [[0, 0], [50, 25]]
+      }, {
+        connector: 'example.blue.better',
+        sourceAmount: '0.01',
+        destinationAmount: '0.01',
+        liquidityCurve: [[0, 0], [30, 30]]
+      }]
+    })
+
+    it('returns a single chunk if the best connector can carry it', function () {
+      assert.deepEqual(chunkedPayment.planChunks(this.quotes, '20', {scale: 2}), [
+        {index: 0, connector: 'example.blue.better', sourceAmount: '20'}
+      ])
+    })
+
+    it('splits the amount round-robin across connectors, best rate first', function () {
+      assert.deepEqual(chunkedPayment.planChunks(this.quotes, '100', {scale: 2}), [
+        {index: 0, connector: 'example.blue.better', sourceAmount: '30'},
+        {index: 1, connector: 'example.blue.worse', sourceAmount: '50'},
+        {index: 2, connector: 'example.blue.better', sourceAmount: '20'}
+      ])
+    })
+
+    it('caps chunks at maxChunkAmount', function () {
+      assert.deepEqual(chunkedPayment.planChunks(this.quotes.slice(1), '25', {scale: 2, maxChunkAmount: '10'})
+        .map((chunk) => chunk.sourceAmount), ['10', '10', '5'])
+    })
+
+    it('rounds capacities down to the ledger scale', function () {
+      this.quotes[1].liquidityCurve = [[0, 0], [3.3333, 3.3333]]
+      assert.deepEqual(chunkedPayment.planChunks(this.quotes.slice(1), '5', {scale: 2})
+        .map((chunk) => chunk.sourceAmount), ['3.33', '1.67'])
+    })
+
+    it('only uses connectors without a liquidity curve if maxChunkAmount is set', function () {
+      const quotes = [{connector: 'example.blue.connector1', sourceAmount: '1', destinationAmount: '1'}]
+      assert.throws(() => chunkedPayment.planChunks(quotes, '10', {scale: 2}),
+        'No connector has liquidity for the payment')
+      assert.lengthOf(chunkedPayment.planChunks(quotes, '10', {scale: 2, maxChunkAmount: '5'}), 2)
+    })
+
+    it('refuses to plan too many chunks', function () {
+      assert.throws(() => chunkedPayment.planChunks(this.quotes, '100', {scale: 2, maxChunks: 2}),
+        'Payment would need more than 2 chunks')
+    })
+  })
+
+  describe('sendChunks', function () {
+    beforeEach(function () {
+      this.chunks = ['1', '2', '3', '4'].map((sourceAmount, index) =>
+        ({index, connector: 'example.blue.connector1', sourceAmount}))
+    })
+
+    it('sends every chunk with bounded concurrency', function * () {
+      let active = 0
+      let maxActive = 0
+      const sendChunk = (chunk) => {
+        maxActive = Math.max(maxActive, ++active)
+        return new Promise((resolve) => setImmediate(() => {
+          active--
+          resolve('fulfillment' + chunk.index)
+        }))
+      }
+      const result = yield chunkedPayment.sendChunks(this.chunks, sendChunk, {concurrency: 2})
+
+      assert.equal(maxActive, 2)
+      assert.equal(result.sourceAmount, '10')
+      assert.equal(result.fulfilledAmount, '10')
+      assert.equal(result.failedAmount, '0')
+      assert.deepEqual(result.chunks.map((chunk) => chunk.fulfillment),
+        ['fulfillment0', 'fulfillment1', 'fulfillment2', 'fulfillment3'])
+      assert.deepEqual(result.chunks.map((chunk) => chunk.state),
+        ['fulfilled', 'fulfilled', 'fulfilled', 'fulfilled'])
+    })
+
+    it('stops starting chunks after one fails', function * () {
+      const error = new Error('Transfer rejected')
+      const sendChunk = (chunk) => chunk.index === 1 ? Promise.reject(error) : Promise.resolve('ok')
+      const result = yield chunkedPayment.sendChunks(this.chunks, sendChunk, {concurrency: 2})
+
+      assert.deepEqual(result.chunks.map((chunk) => chunk.state),
+        ['fulfilled', 'failed', 'skipped', 'skipped'])
+      assert.equal(result.chunks[1].error, error)
+      assert.equal(result.fulfilledAmount, '1')
+      assert.equal(result.failedAmount, '2')
+    })
+
+    it('reports progress', function * () {
+      const onProgress = sinon.spy()
+      yield chunkedPayment.sendChunks(this.chunks.slice(0, 2), () => Promise.resolve('ok'),
+        {concurrency: 1, onProgress})
+
+      assert.deepEqual(onProgress.args.map((args) =>
+        [args[0].pendingAmount, args[0].fulfilledAmount]), [
+          ['1', '0'],
+          ['0', '1'],
+          ['2', '1'],
+          ['0', '3']
+        ])
+    })
+
+    it('finishes even if onProgress throws', function * () {
+      const onProgress = sinon.stub().throws(new Error('oops'))
+      const result = yield chunkedPayment.sendChunks(this.chunks.slice(0, 2), () => Promise.resolve('ok'),
+        {concurrency: 1, onProgress})
+
+      assert.equal(result.fulfilledAmount, '3')
+      assert.equal(onProgress.callCount, 4)
+    })
+  })
+})
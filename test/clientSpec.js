@@ -11,6 +11,10 @@ const assert = chai.assert
 const ilpCore = require('..')
 const Client = ilpCore.Client
 const MockPlugin = require('./mocks/mock-plugin')
+const ilpPayment = require('../src/lib/ilpPayment')
+const timer = require('../src/lib/timer')
+const InvalidConditionError = ilpCore.errors.InvalidConditionError
+const InvalidFulfillmentError = ilpCore.errors.InvalidFulfillmentError
 
 describe('Client', function () {
   describe('constructor', function () {
@@ -38,6 +42,16 @@ describe('Client', function () {
       }, '"pluginOpts._plugin" must be a function')
     })
 
+    it('should fail if the plugin does not implement the ledger plugin interface', function () {
+      const plugin = new MockPlugin()
+      plugin.sendMessage = undefined
+      plugin.fulfillCondition = undefined
+      assert.throws(() => {
+        return new Client(plugin)
+      }, 'Ledger plugin does not conform to the ledger plugin interface: ' +
+        'missing method sendMessage(); missing method fulfillCondition()')
+    })
+
     it('should fail if "clientOpts" is not an object', function () {
       assert.throws(() => {
         return new Client({ _plugin: MockPlugin }, 123)
@@ -55,6 +69,72 @@ describe('Client', function () {
         return new Client({ _plugin: MockPlugin }, { messageTimeout: '123' })
       }, '"clientOpts.messageTimeout" must be a Number or undefined')
     })
+
+    it('should fail if "quoteValidity" is passed but is not a number', function () {
+      assert.throws(() => {
+        return new Client({ _plugin: MockPlugin }, { quoteValidity: '123' })
+      }, '"clientOpts.quoteValidity" must be a Number or undefined')
+    })
+
+    it('should fail if "reconnect" is not an object or boolean', function () {
+      assert.throws(() => {
+        return new Client({ _plugin: MockPlugin }, { reconnect: 123 })
+      }, '"clientOpts.reconnect" must be an Object, a Boolean or undefined')
+    })
+
+    it('should fail if a "reconnect" delay is not a positive number', function () {
+      assert.throws(() => {
+        return new Client({ _plugin: MockPlugin }, { reconnect: {initialDelay: '100'} })
+      }, '"clientOpts.reconnect.initialDelay" must be a positive Number or undefined')
+      assert.throws(() => {
+        return new Client({ _plugin: MockPlugin }, { reconnect: {maxDelay: -1} })
+      }, '"clientOpts.reconnect.maxDelay" must be a positive Number or undefined')
+      assert.throws(() => {
+        return new Client({ _plugin: MockPlugin }, { reconnect: {initialDelay: 0} })
+      }, '"clientOpts.reconnect.initialDelay" must be a positive Number or undefined')
+    })
+
+    it('should fail if "reconnect.maxDelay" is below "initialDelay"', function () {
+      assert.throws(() => {
+        return new Client({ _plugin: MockPlugin }, { reconnect: {initialDelay: 2000, maxDelay: 1000} })
+      }, '"clientOpts.reconnect.maxDelay" must not be below "initialDelay"')
+    })
+
+    it('should fail if "reconnect.factor" or "reconnect.jitter" is out of range', function () {
+      assert.throws(() => {
+        return new Client({ _plugin: MockPlugin }, { reconnect: {factor: 0.5} })
+      }, '"clientOpts.reconnect.factor" must be a Number of at least 1 or undefined')
+      assert.throws(() => {
+        return new Client({ _plugin: MockPlugin }, { reconnect: {jitter: '0.1'} })
+      }, '"clientOpts.reconnect.jitter" must be a Number from 0 to 1 or undefined')
+    })
+
+    it('should fail if "quoteCacheTtl" is passed but is not a number', function () {
+      assert.throws(() => {
+        return new Client({ _plugin: MockPlugin }, { quoteCacheTtl: '123' })
+      }, '"clientOpts.quoteCacheTtl" must be a Number or undefined')
+    })
+  })
+
+  describe('toBaseUnits', function () {
+    it('converts using the ledger scale', function () {
+      const client = new Client({_plugin: MockPlugin})
+      assert.equal(client.toBaseUnits('1.239'), '123')
+      assert.equal(client.toBaseUnits('1.231', 0), '124')
+    })
+
+    it('throws if the ledger does not report a scale', function () {
+      const client = new Client({_plugin: MockPlugin})
+      client.getPlugin().getInfo = () => ({prefix: 'example.blue.'})
+      assert.throws(() => client.toBaseUnits('1'), 'Ledger plugin does not report a scale')
+    })
+  })
+
+  describe('fromBaseUnits', function () {
+    it('converts using the ledger scale', function () {
+      const client = new Client({_plugin: MockPlugin})
+      assert.equal(client.fromBaseUnits('123'), '1.23')
+    })
   })
 
   describe('connect', function () {
@@ -80,6 +160,305 @@ describe('Client', function () {
       sinon.assert.calledWith(stubConnect.firstCall, {timeout: 123})
       stubConnect.restore()
     })
+
+    it('rejects if the connected plugin reports invalid info', function * () {
+      const client = new Client({_plugin: MockPlugin}, {reconnect: true})
+      const plugin = client.getPlugin()
+      plugin.getInfo = () => ({prefix: 'example.blue', scale: -1})
+      const disconnect = sinon.spy(plugin, 'disconnect')
+
+      const err = yield client.connect().then(() => assert(false), (err) => err)
+      assert.instanceOf(err, ilpCore.errors.PluginInterfaceError)
+      assert.equal(err.code, 'PLUGIN_INTERFACE')
+      assert.deepEqual(err.violations, [
+        'getInfo().prefix must be a string ending in "."',
+        'getInfo().scale must be a non-negative integer'
+      ])
+      sinon.assert.calledOnce(disconnect)
+      assert.equal(client.getStatus().connectionState, 'disconnected')
+      assert.isNull(client.reconnectTimer)
+    })
+  })
+
+  describe('connection state', function () {
+    beforeEach(function () {
+      this.clock = sinon.useFakeTimers()
+      this.client = new Client({_plugin: MockPlugin}, {
+        reconnect: {initialDelay: 100, maxDelay: 300, jitter: 0}
+      })
+      this.states = []
+      this.client.on('connection_state', (state) => this.states.push(state))
+    })
+
+    afterEach(function () {
+      this.clock.restore()
+    })
+
+    it('emits connecting and connected', function * () {
+      yield this.client.connect()
+      assert.deepEqual(this.states, ['connecting', 'connected'])
+      assert.equal(this.client.connectionState, 'connected')
+    })
+
+    it('emits disconnected on disconnect without reconnecting', function * () {
+      yield this.client.connect()
+      const spy = sinon.spy(this.client.getPlugin(), 'connect')
+      this.client.disconnect()
+      this.client.getPlugin().emit('disconnect')
+      this.clock.tick(1000)
+      assert.deepEqual(this.states, ['connecting', 'connected', 'disconnected'])
+      assert.notCalled(spy)
+    })
+
+    it('reconnects with exponential backoff when the plugin drops', function * () {
+      yield this.client.connect()
+      const plugin = this.client.getPlugin()
+      const stub = sinon.stub(plugin, 'connect')
+      stub.onCall(0).returns(Promise.reject(new Error('down')))
+      stub.onCall(1).returns(Promise.resolve(null))
+
+      plugin.emit('disconnect')
+      assert.deepEqual(this.states.slice(2), ['disconnected', 'reconnecting'])
+
+      this.clock.tick(99)
+      assert.notCalled(stub)
+      this.clock.tick(1)
+      assert.calledOnce(stub)
+      yield Promise.resolve()
+
+      this.clock.tick(199)
+      assert.calledOnce(stub)
+      this.clock.tick(1)
+      assert.calledTwice(stub)
+      yield Promise.resolve()
+
+      assert.equal(this.client.connectionState, 'connected')
+      assert.equal(this.client.reconnectAttempts, 0)
+    })
+
+    it('keeps retrying after the initial connect fails', function * () {
+      const stub = sinon.stub(this.client.getPlugin(), 'connect')
+      stub.onCall(0).returns(Promise.reject(new Error('down')))
+      stub.onCall(1).returns(Promise.resolve(null))
+
+      yield assert.isRejected(this.client.connect({timeout: 123}), /down/)
+      assert.deepEqual(this.states, ['connecting', 'disconnected', 'reconnecting'])
+
+      this.clock.tick(100)
+      assert.calledTwice(stub)
+      assert.calledWith(stub.secondCall, {timeout: 123})
+      yield Promise.resolve()
+      assert.equal(this.client.connectionState, 'connected')
+    })
+
+    it('stops retrying on disconnect', function * () {
+      const stub = sinon.stub(this.client.getPlugin(), 'connect')
+        .returns(Promise.reject(new Error('down')))
+      yield assert.isRejected(this.client.connect(), /down/)
+      this.client.disconnect()
+      this.clock.tick(1000)
+      assert.calledOnce(stub)
+    })
+
+    it('does not reconnect unless configured to', function * () {
+      const client = new Client({_plugin: MockPlugin})
+      yield client.connect()
+      const spy = sinon.spy(client.getPlugin(), 'connect')
+      client.getPlugin().emit('disconnect')
+      this.clock.tick(100000)
+      assert.notCalled(spy)
+      assert.equal(client.connectionState, 'disconnected')
+    })
+  })
+
+  describe('getStatus', function () {
+    beforeEach(function () {
+      this.clock = sinon.useFakeTimers(0)
+      this.client = new Client({_plugin: MockPlugin}, {quoteCacheTtl: 1000})
+    })
+
+    afterEach(function () {
+      this.clock.restore()
+    })
+
+    it('reports the client\'s state', function * () {
+      yield this.client.connect()
+      this.client.sendRequest('example.blue.connector1', 'invoice_request', {})
+      this.client.quoteCache.set('key', {})
+      assert.deepEqual(this.client.getStatus(), {
+        prefix: 'example.blue.',
+        account: 'example.blue.mark',
+        infoError: null,
+        connectionState: 'connected',
+        reconnectAttempts: 0,
+        pendingMessages: 1,
+        quoteCacheSize: 1,
+        outgoingTransfers: {},
+        lastError: null
+      })
+    })
+
+    it('reports why the prefix and account are unknown before connecting', function () {
+      this.client.getPlugin().getAccount = () => { throw new Error('Must be connected before getAccount can be called') }
+      const status = this.client.getStatus()
+      assert.isUndefined(status.account)
+      assert.deepEqual(status.infoError, {
+        name: 'Error',
+        message: 'Must be connected before getAccount can be called'
+      })
+      assert.equal(status.connectionState, 'disconnected')
+    })
+
+    it('reports the last error', function * () {
+      yield this.client.connect()
+      this.client.getPlugin().sendTransfer = () => Promise.reject(new Error('ledger is down'))
+      yield assert.isRejected(this.client.sendQuotedPayment({
+        sourceAmount: '1',
+        destinationAmount: '1',
+        destinationAccount: 'example.blue.bob',
+        unsafeOptimisticTransport: true
+      }), /ledger is down/)
+      assert.deepEqual(this.client.getStatus().lastError, {
+        name: 'Error',
+        message: 'ledger is down',
+        timestamp: '1970-01-01T00:00:00.000Z'
+      })
+    })
+  })
+
+  describe('getBalance', function () {
+    beforeEach(function () {
+      this.client = new Client({_plugin: MockPlugin}, {balanceThresholds: {low: '10', high: '100'}})
+      this.balance = '50'
+      this.client.getPlugin().getBalance = () => Promise.resolve(this.balance)
+      this.events = []
+      for (const level of ['low', 'normal', 'high']) {
+        this.client.on('balance_' + level, (result) => this.events.push([level, result.balance]))
+      }
+    })
+
+    it('normalizes the balance to the ledger scale', function * () {
+      this.balance = '12.3'
+      assert.deepEqual(yield this.client.getBalance(), {
+        prefix: 'example.blue.',
+        balance: '12.30',
+        baseBalance: '1230',
+        scale: 2
+      })
+    })
+
+    it('handles negative balances', function * () {
+      this.balance = '-5'
+      const result = yield this.client.getBalance()
+      assert.equal(result.balance, '-5.00')
+      assert.equal(result.baseBalance, '-500')
+    })
+
+    it('emits events when the balance crosses a threshold', function * () {
+      for (const balance of ['50', '9.99', '5', '10', '100.01', '20']) {
+        this.balance = balance
+        yield this.client.getBalance()
+      }
+      assert.deepEqual(this.events, [
+        ['low', '9.99'],
+        ['normal', '10.00'],
+        ['high', '100.01'],
+        ['normal', '20.00']
+      ])
+    })
+
+    it('emits an event if the first balance is out of bounds', function * () {
+      this.balance = '1'
+      yield this.client.getBalance()
+      assert.deepEqual(this.events, [['low', '1.00']])
+    })
+
+    it('resolves even if a balance event listener fails', function * () {
+      this.balance = '1'
+      this.client.on('balance_low', () => { throw new Error('listener broke') })
+      this.client.on('balance_low', () => Promise.reject(new Error('listener broke')))
+      assert.equal((yield this.client.getBalance()).balance, '1.00')
+      assert.deepEqual(this.events, [['low', '1.00']])
+    })
+
+    it('records errors', function * () {
+      yield this.client.connect()
+      this.client.getPlugin().getBalance = () => Promise.reject(new Error('ledger is down'))
+      yield assert.isRejected(this.client.getBalance(), /ledger is down/)
+      assert.equal(this.client.getStatus().lastError.message, 'ledger is down')
+    })
+
+    it('rejects with a PluginNotConnectedError if the plugin is not connected', function * () {
+      const cause = new Error('not connected')
+      this.client.getPlugin().getBalance = () => Promise.reject(cause)
+      const err = yield this.client.getBalance().then(() => assert(false), (err) => err)
+      assert.instanceOf(err, ilpCore.errors.PluginNotConnectedError)
+      assert.equal(err.code, 'PLUGIN_NOT_CONNECTED')
+      assert.equal(err.message, 'Plugin is not connected: not connected')
+      assert.equal(err.prefix, 'example.blue.')
+      assert.equal(err.cause, cause)
+    })
+
+    it('rejects with a PluginNotConnectedError even if the plugin can\'t report its prefix', function * () {
+      this.client.getPlugin().getBalance = () => Promise.reject(new Error('not connected'))
+      this.client.getPlugin().getInfo = () => { throw new Error('Must be connected before getInfo can be called') }
+      const err = yield this.client.getBalance().then(() => assert(false), (err) => err)
+      assert.instanceOf(err, ilpCore.errors.PluginNotConnectedError)
+      assert.isUndefined(err.prefix)
+      assert.equal(err.cause.message, 'not connected')
+    })
+
+    it('validates balanceThresholds', function () {
+      assert.throws(() => new Client({_plugin: MockPlugin}, {balanceThresholds: 10}),
+        TypeError, '"clientOpts.balanceThresholds" must be an Object or undefined')
+      assert.throws(() => new Client({_plugin: MockPlugin}, {balanceThresholds: {low: 'abc'}}),
+        TypeError, '"clientOpts.balanceThresholds.low" must be a number or undefined')
+      assert.throws(() => new Client({_plugin: MockPlugin}, {balanceThresholds: {low: '10', high: '5'}}),
+        TypeError, '"clientOpts.balanceThresholds.low" must not be above "high"')
+    })
+  })
+
+  describe('rejectIncomingTransfer', function () {
+    beforeEach(function () {
+      this.clock = sinon.useFakeTimers(0)
+      this.client = new Client({_plugin: MockPlugin})
+      this.reject = sinon.spy(this.client.getPlugin(), 'rejectIncomingTransfer')
+    })
+
+    afterEach(function () {
+      this.clock.restore()
+    })
+
+    it('rejects the transfer with a well-formed reason', function * () {
+      const reason = yield this.client.rejectIncomingTransfer('abcdef', {
+        code: 'F06',
+        message: 'not expecting a payment',
+        data: {invoice: 42}
+      })
+      assert.calledWith(this.reject, 'abcdef', {
+        code: 'F06',
+        name: 'Unexpected Payment',
+        message: 'not expecting a payment',
+        triggered_by: 'example.blue.mark',
+        triggered_at: '1970-01-01T00:00:00.000Z',
+        additional_info: {invoice: 42}
+      })
+      assert.deepEqual(reason, {
+        code: 'F06',
+        name: 'Unexpected Payment',
+        category: 'final',
+        triggeredBy: 'example.blue.mark',
+        triggeredAt: '1970-01-01T00:00:00.000Z',
+        message: 'not expecting a payment',
+        data: {invoice: 42}
+      })
+    })
+
+    it('requires an ILP error code', function * () {
+      yield assert.isRejected(this.client.rejectIncomingTransfer('abcdef', {code: 'nope'}),
+        TypeError, 'ILP error code must be F, T or R followed by two digits: nope')
+      assert.notCalled(this.reject)
+    })
   })
 
   describe('disconnect', function () {
@@ -109,15 +488,77 @@ describe('Client', function () {
       sinon.assert.calledWith(stubDisconnect, { foo: true }, 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
       stubDisconnect.restore()
     })
+
+    describe('with a prepared incoming transfer', function () {
+      beforeEach(function () {
+        this.client = new Client({_plugin: MockPlugin})
+        this.stub = sinon.stub(this.client.getPlugin(), 'fulfillCondition').returns(Promise.resolve(null))
+        this.client.getPlugin().emit('incoming_prepare', {
+          id: 'abcdef',
+          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
+        })
+      })
+
+      it('passes on a matching fulfillment', function * () {
+        yield this.client.fulfillCondition('abcdef', 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        sinon.assert.calledWith(this.stub, 'abcdef', 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+      })
+
+      it('rejects a fulfillment that does not match the condition', function * () {
+        const err = yield this.client.fulfillCondition('abcdef', 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA')
+          .then(() => assert(false), (err) => err)
+        assert.instanceOf(err, InvalidFulfillmentError)
+        assert.equal(err.message, 'Fulfillment does not match the condition of transfer abcdef')
+        assert.equal(err.transferId, 'abcdef')
+        assert.equal(err.condition, 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U')
+        sinon.assert.notCalled(this.stub)
+      })
+
+      it('forgets the condition once the transfer is cancelled', function * () {
+        this.client.getPlugin().emit('incoming_cancel', {id: 'abcdef'}, 'expired')
+        yield this.client.fulfillCondition('abcdef', 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA')
+        sinon.assert.calledOnce(this.stub)
+      })
+
+      it('rejects a malformed fulfillment', function * () {
+        yield assert.isRejected(this.client.fulfillCondition('abcdef', 'foo'),
+          /fulfillment must be a base64url-encoded 32-byte preimage: foo/)
+        sinon.assert.notCalled(this.stub)
+      })
+
+      it('checks transfers whose ids are Object.prototype members', function * () {
+        for (const id of ['__proto__', 'constructor']) {
+          this.client.getPlugin().emit('incoming_prepare', {
+            id,
+            executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
+          })
+          const err = yield this.client.fulfillCondition(id, 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA')
+            .then(() => assert(false), (err) => err)
+          assert.instanceOf(err, InvalidFulfillmentError)
+          assert.equal(err.condition, 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U')
+        }
+        sinon.assert.notCalled(this.stub)
+      })
+    })
   })
 
   describe('quote', function () {
     beforeEach(function () {
+      this.clock = sinon.useFakeTimers(0)
       this.client = new Client({
         _plugin: MockPlugin
       })
     })
 
+    afterEach(function () {
+      this.clock.restore()
+    })
+
+    const timestamps = {
+      quotedAt: '1970-01-01T00:00:00.000Z',
+      quoteExpiresAt: '1970-01-01T00:00:30.000Z'
+    }
+
     it('should reject if neither sourceAmount nor destinationAmount are specified', function (done) {
       this.client.quote({
         destinationAddress: 'example.red'
@@ -162,7 +603,9 @@ describe('Client', function () {
         assert.deepEqual(quote, {
           destinationAmount: '1',
           connectorAccount: 'mock/connector',
-          sourceExpiryDuration: '5'
+          sourceExpiryDuration: '5',
+          quotedAt: timestamps.quotedAt,
+          quoteExpiresAt: timestamps.quoteExpiresAt
         })
         done()
       })
@@ -186,7 +629,9 @@ describe('Client', function () {
       .then(function (quote) {
         assert.deepEqual(quote, {
           destinationAmount: '1',
-          connectorAccount: 'mock/connector'
+          connectorAccount: 'mock/connector',
+          quotedAt: timestamps.quotedAt,
+          quoteExpiresAt: timestamps.quoteExpiresAt
         })
         done()
       })
@@ -210,7 +655,9 @@ describe('Client', function () {
       .then(function (quote) {
         assert.deepEqual(quote, {
           sourceAmount: '1',
-          connectorAccount: 'mock/connector'
+          connectorAccount: 'mock/connector',
+          quotedAt: timestamps.quotedAt,
+          quoteExpiresAt: timestamps.quoteExpiresAt
         })
         done()
       })
@@ -235,7 +682,9 @@ describe('Client', function () {
       .then(function (quote) {
         assert.deepEqual(quote, {
           sourceAmount: '1',
-          connectorAccount: 'mock/connector'
+          connectorAccount: 'mock/connector',
+          quotedAt: timestamps.quotedAt,
+          quoteExpiresAt: timestamps.quoteExpiresAt
         })
         done()
       })
@@ -323,7 +772,214 @@ describe('Client', function () {
           ],
           destinationAddress: 'example.red',
           destinationAmount: '1'
-        }), info.quote)
+        }), Object.assign({}, info.quote, timestamps))
+      })
+    })
+
+    it('uses the given quote selector', function * () {
+      this.client.quoteAll = () => Promise.resolve([
+        {connector: 'example.blue.connector1', connectorAccount: 'connector1', sourceAmount: '1', destinationAmount: '1', sourceExpiryDuration: '10'},
+        {connector: 'example.blue.connector2', error: new Error('broken')},
+        {connector: 'example.blue.connector3', connectorAccount: 'connector3', sourceAmount: '2', destinationAmount: '1', sourceExpiryDuration: '5'}
+      ])
+      const params = {destinationAddress: 'example.red', destinationAmount: '1'}
+
+      assert.equal((yield this.client.quote(params)).connectorAccount, 'connector1')
+      assert.equal((yield this.client.quote(Object.assign({select: 'shortestExpiry'}, params))).connectorAccount, 'connector3')
+      assert.equal((yield this.client.quote(Object.assign({
+        select: (quote1, quote2) => quote1.connector === 'example.blue.connector3' ? -1 : 1
+      }, params))).connectorAccount, 'connector3')
+    })
+
+    describe('with slippage', function () {
+      it('includes minDestinationAmount for a fixed sourceAmount', function * () {
+        this.client.quoteAll = () => Promise.resolve([
+          {connectorAccount: 'connector1', destinationAmount: '200'}
+        ])
+        assert.deepEqual(yield this.client.quote({
+          destinationAddress: 'example.red',
+          sourceAmount: '100',
+          slippage: 0.01
+        }), {
+          destinationAmount: '200',
+          minDestinationAmount: '198',
+          connectorAccount: 'connector1',
+          quotedAt: timestamps.quotedAt,
+          quoteExpiresAt: timestamps.quoteExpiresAt
+        })
+      })
+
+      it('rounds minDestinationAmount up to the precision of the destinationAmount', function * () {
+        this.client.quoteAll = () => Promise.resolve([
+          {connectorAccount: 'connector1', destinationAmount: '199'}
+        ])
+        const quote = yield this.client.quote({
+          destinationAddress: 'example.red',
+          sourceAmount: '100',
+          slippage: 0.01
+        })
+        assert.equal(quote.minDestinationAmount, '198')
+      })
+
+      it('includes maxSourceAmount rounded up to the ledger scale for a fixed destinationAmount', function * () {
+        this.client.quoteAll = () => Promise.resolve([
+          {connectorAccount: 'connector1', sourceAmount: '1.01'}
+        ])
+        assert.deepEqual(yield this.client.quote({
+          destinationAddress: 'example.red',
+          destinationAmount: '2',
+          slippage: '0.01'
+        }), {
+          sourceAmount: '1.01',
+          maxSourceAmount: '1.03',
+          connectorAccount: 'connector1',
+          quotedAt: timestamps.quotedAt,
+          quoteExpiresAt: timestamps.quoteExpiresAt
+        })
+      })
+
+      ;[-0.1, 1, 'foo', {}].forEach(function (slippage) {
+        it('should reject if slippage is ' + JSON.stringify(slippage), function * () {
+          yield assert.isRejected(this.client.quote({
+            destinationAddress: 'example.red',
+            sourceAmount: '1',
+            slippage: slippage
+          }), /slippage must be a number between 0 and 1/)
+        })
+      })
+    })
+
+    it('expires the quote when the connector\'s quote expires, if that is sooner', function * () {
+      this.client.quoteAll = () => Promise.resolve([
+        {connectorAccount: 'connector1', sourceAmount: '1', expiresAt: '1970-01-01T00:00:10.000Z'}
+      ])
+      const quote = yield this.client.quote({destinationAddress: 'example.red', destinationAmount: '1'})
+      assert.equal(quote.quoteExpiresAt, '1970-01-01T00:00:10.000Z')
+    })
+
+    it('uses clientOpts.quoteValidity', function * () {
+      const client = new Client({_plugin: MockPlugin}, {quoteValidity: 5000})
+      client.quoteAll = () => Promise.resolve([{connectorAccount: 'connector1', sourceAmount: '1'}])
+      const quote = yield client.quote({destinationAddress: 'example.red', destinationAmount: '1'})
+      assert.equal(quote.quoteExpiresAt, '1970-01-01T00:00:05.000Z')
+    })
+
+    it('should reject if the sourceAmount does not fit the ledger', function * () {
+      yield assert.isRejected(this.client.quote({
+        destinationAddress: 'example.red',
+        sourceAmount: '1.001'
+      }), /sourceAmount has more than 2 decimal places: 1.001/)
+    })
+
+    it('should reject if the destinationAmount is negative', function * () {
+      yield assert.isRejected(this.client.quote({
+        destinationAddress: 'example.red',
+        destinationAmount: '-1'
+      }), /destinationAmount must be positive: -1/)
+    })
+
+    describe('in base units', function () {
+      it('converts the amounts of remote quotes', function * () {
+        this.client.quoteAll = sinon.stub().returns(Promise.resolve([
+          {connectorAccount: 'connector1', sourceAmount: '1.011'}
+        ]))
+        const quote = yield this.client.quote({
+          destinationAddress: 'example.red',
+          destinationAmount: '2000',
+          destinationScale: 3,
+          amountUnits: 'base'
+        })
+        assert.equal(this.client.quoteAll.firstCall.args[0].destinationAmount, '2')
+        assert.equal(quote.sourceAmount, '102')
+      })
+
+      it('converts the amounts of same-ledger quotes', function * () {
+        assert.deepEqual(yield this.client.quote({
+          destinationAddress: 'example.blue.bob',
+          sourceAmount: '150',
+          amountUnits: 'base'
+        }), {sourceAmount: '150', destinationAmount: '150'})
+      })
+
+      it('should reject if destinationScale is missing for a remote destination', function * () {
+        yield assert.isRejected(this.client.quote({
+          destinationAddress: 'example.red',
+          destinationAmount: '2000',
+          amountUnits: 'base'
+        }), ilpCore.errors.InvalidArgumentError, /destinationScale must be provided to use base units for a remote destination/)
+      })
+
+      it('should reject unknown amountUnits', function * () {
+        yield assert.isRejected(this.client.quote({
+          destinationAddress: 'example.red',
+          destinationAmount: '2000',
+          amountUnits: 'cents'
+        }), /amountUnits must be "display" or "base"/)
+      })
+    })
+
+    it('should reject if the quote selector is unknown', function * () {
+      yield assert.isRejected(this.client.quote({
+        destinationAddress: 'example.red',
+        destinationAmount: '1',
+        select: 'foo'
+      }), /Unknown quote selector: foo/)
+    })
+
+    describe('with a quote cache', function () {
+      beforeEach(function () {
+        this.client = new Client({_plugin: MockPlugin}, {quoteCacheTtl: 1000})
+        this.sendMessage = this.client.getPlugin().sendMessage = sinon.spy(makeSendQuoteMessage({
+          source_address: 'example.blue.mark',
+          destination_address: 'example.red',
+          source_amount: '1'
+        }, {
+          destination_amount: '1',
+          source_connector_account: 'mock/connector'
+        }))
+        this.params = {destinationAddress: 'example.red', sourceAmount: '1'}
+      })
+
+      it('reuses a cached quote', function * () {
+        const quote1 = yield this.client.quote(this.params)
+        const quote2 = yield this.client.quote(this.params)
+        assert.deepEqual(quote1, Object.assign({destinationAmount: '1', connectorAccount: 'mock/connector'}, timestamps))
+        assert.deepEqual(quote2, quote1)
+        assert.calledOnce(this.sendMessage)
+      })
+
+      it('caches quotes per selector', function * () {
+        yield this.client.quote(this.params)
+        yield this.client.quote(Object.assign({select: 'cheapestSource'}, this.params))
+        yield this.client.quote(Object.assign({select: 'cheapestSource'}, this.params))
+        assert.calledTwice(this.sendMessage)
+      })
+
+      it('does not cache quotes chosen by a custom comparator', function * () {
+        const select = () => 0
+        yield this.client.quote(Object.assign({select}, this.params))
+        yield this.client.quote(Object.assign({select}, this.params))
+        assert.calledTwice(this.sendMessage)
+      })
+
+      it('does not use the cache if skipCache is set', function * () {
+        yield this.client.quote(this.params)
+        yield this.client.quote(Object.assign({skipCache: true}, this.params))
+        assert.calledTwice(this.sendMessage)
+      })
+
+      it('clears the cache on disconnect', function * () {
+        yield this.client.quote(this.params)
+        this.client.disconnect()
+        yield this.client.quote(this.params)
+        assert.calledTwice(this.sendMessage)
+      })
+
+      it('invalidates the connector\'s quotes when a payment is rejected', function * () {
+        yield this.client.quote(this.params)
+        this.client.getPlugin().emit('outgoing_reject', {account: 'mock/connector'}, {})
+        yield this.client.quote(this.params)
+        assert.calledTwice(this.sendMessage)
       })
     })
 
@@ -345,200 +1001,1534 @@ describe('Client', function () {
     })
   })
 
-  describe('sendQuotedPayment', function () {
+  describe('quoteAll', function () {
     beforeEach(function () {
-      this.client = new Client({
-        _plugin: MockPlugin
-      })
+      this.client = new Client({_plugin: MockPlugin}, {messageTimeout: 10})
     })
 
-    it('should reject if no executionCondition is provided and unsafeOptimisticTransport is not set', function (done) {
-      this.client.sendQuotedPayment({
-        connectorAccount: 'connector',
-        sourceAmount: '1',
-        destinationAmount: '2',
-        destinationAccount: 'example.red.bob',
-        destinationMemo: {
-          foo: 'bar'
-        },
-        expiresAt: '2016-07-02T00:00:00.000Z'
+    it('returns every connector\'s quote or error', function * () {
+      const plugin = this.client.getPlugin()
+      plugin.sendMessage = function (message) {
+        if (message.to === 'example.blue.connector1') {
+          process.nextTick(() => this.emit('incoming_message', {
+            ledger: 'example.blue.',
+            from: 'example.blue.connector1',
+            to: 'example.blue.mark',
+            data: {
+              id: message.data.id,
+              method: 'quote_response',
+              data: {
+                source_amount: '2',
+                source_connector_account: 'connector1',
+                source_expiry_duration: '6',
+                destination_expiry_duration: '5'
+              }
+            }
+          }))
+        } else {
+          process.nextTick(() => this.emit('incoming_message', {
+            ledger: 'example.blue.',
+            from: message.to,
+            to: 'example.blue.mark',
+            data: {id: message.data.id, method: 'error', data: {id: 'AssetsNotTradedError', message: 'broken'}}
+          }))
+        }
+        return Promise.resolve(null)
+      }
+
+      const quotes = yield this.client.quoteAll({
+        destinationAddress: 'example.red',
+        destinationAmount: '1',
+        connectors: ['example.blue.connector1', 'example.blue.connector2', 'example.blue.connector3']
       })
-      .catch(function (err) {
-        assert.equal(err.message, 'executionCondition must be provided unless unsafeOptimisticTransport is true')
-        done()
+
+      assert.lengthOf(quotes, 3)
+      assert.isNumber(quotes[0].latency)
+      delete quotes[0].latency
+      assert.deepEqual(quotes[0], {
+        connector: 'example.blue.connector1',
+        connectorAccount: 'connector1',
+        sourceAmount: '2',
+        sourceExpiryDuration: '6',
+        destinationExpiryDuration: '5'
       })
+      assert.equal(quotes[1].connector, 'example.blue.connector2')
+      assert.equal(quotes[1].error.message, 'broken')
+      assert.equal(quotes[2].connector, 'example.blue.connector3')
+      assert.equal(quotes[2].error.message, 'broken')
     })
 
-    it('should reject if there is an executionCondition and no expiresAt', function (done) {
-      this.client.sendQuotedPayment({
-        connectorAccount: 'connector',
-        sourceAmount: '1',
-        destinationAmount: '2',
-        destinationAccount: 'example.red.bob',
-        destinationMemo: {
-          foo: 'bar'
-        },
-        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
+    describe('failure reasons', function () {
+      beforeEach(function () {
+        // connector1 refuses to quote, connector2 doesn't answer
+        this.client.getPlugin().sendMessage = function (message) {
+          if (message.to === 'example.blue.connector1') {
+            process.nextTick(() => this.emit('incoming_message', {
+              ledger: 'example.blue.',
+              from: message.to,
+              to: 'example.blue.mark',
+              data: {id: message.data.id, method: 'error', data: {id: 'AssetsNotTradedError', message: 'broken'}}
+            }))
+          }
+          return Promise.resolve(null)
+        }
+        this.params = {
+          destinationAddress: 'example.red.bob',
+          destinationAmount: '1',
+          connectors: ['example.blue.connector1', 'example.blue.connector2']
+        }
       })
-      .catch(function (err) {
-        assert.equal(err.message, 'executionCondition should not be used without expiresAt')
-        done()
+
+      it('types the error of each connector', function * () {
+        const quotes = yield this.client.quoteAll(this.params)
+        assert.instanceOf(quotes[0].error, ilpCore.errors.RemoteQuoteError)
+        assert.equal(quotes[0].error.code, 'REMOTE_QUOTE_ERROR')
+        assert.equal(quotes[0].error.connector, 'example.blue.connector1')
+        assert.equal(quotes[0].error.remoteName, 'AssetsNotTradedError')
+        assert.instanceOf(quotes[1].error, ilpCore.errors.QuoteTimeoutError)
+        assert.equal(quotes[1].error.code, 'QUOTE_TIMEOUT')
+        assert.equal(quotes[1].error.connector, 'example.blue.connector2')
+        assert.equal(quotes[1].error.message, 'Timed out while awaiting response message')
       })
-    })
 
-    it('should reject if there is no sourceAmount', function (done) {
-      this.client.sendQuotedPayment({
-        connectorAccount: 'connector',
-        destinationAmount: '2',
-        destinationAccount: 'example.red.bob',
-        destinationMemo: { foo: 'bar' },
-        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
-        expiresAt: '2016-07-02T00:00:00.000Z'
+      it('lets quote reject with the reasons instead of resolving with undefined', function * () {
+        assert.isUndefined(yield this.client.quote(this.params))
+        const err = yield this.client.quote(Object.assign({reportFailures: true}, this.params))
+          .then(() => assert(false), (err) => err)
+        assert.instanceOf(err, ilpCore.errors.NoQuoteError)
+        assert.equal(err.code, 'NO_QUOTE')
+        assert.equal(err.message, 'No quote available for payment to example.red.bob ' +
+          '(example.blue.connector1: broken; example.blue.connector2: Timed out while awaiting response message)')
+        assert.equal(err.destinationAddress, 'example.red.bob')
+        assert.deepEqual(err.connectorErrors.map((failure) => [failure.connector, failure.error.code]), [
+          ['example.blue.connector1', 'REMOTE_QUOTE_ERROR'],
+          ['example.blue.connector2', 'QUOTE_TIMEOUT']
+        ])
       })
-      .catch(function (err) {
+    })
+
+    it('rounds source amounts up to the ledger scale', function * () {
+      this.client.getPlugin().sendMessage = makeSendQuoteMessage({
+        source_address: 'example.blue.mark',
+        destination_address: 'example.red',
+        destination_amount: '1'
+      }, {
+        source_amount: '1.001',
+        source_connector_account: 'connector1'
+      })
+
+      const quotes = yield this.client.quoteAll({
+        destinationAddress: 'example.red',
+        destinationAmount: '1',
+        connectors: ['example.blue.connector1']
+      })
+      assert.equal(quotes[0].sourceAmount, '1.01')
+    })
+
+    it('returns an error for negative source amounts', function * () {
+      this.client.getPlugin().sendMessage = makeSendQuoteMessage({
+        source_address: 'example.blue.mark',
+        destination_address: 'example.red',
+        destination_amount: '1'
+      }, {
+        source_amount: '-1',
+        source_connector_account: 'connector1'
+      })
+
+      const quotes = yield this.client.quoteAll({
+        destinationAddress: 'example.red',
+        destinationAmount: '1',
+        connectors: ['example.blue.connector1']
+      })
+      assert.equal(quotes[0].error.name, 'InvalidAmountError')
+    })
+
+    it('returns an error for source amounts that are not numbers', function * () {
+      this.client.getPlugin().sendMessage = makeSendQuoteMessage({
+        source_address: 'example.blue.mark',
+        destination_address: 'example.red',
+        destination_amount: '1'
+      }, {
+        source_amount: 'lots',
+        source_connector_account: 'connector1'
+      })
+
+      const quotes = yield this.client.quoteAll({
+        destinationAddress: 'example.red',
+        destinationAmount: '1',
+        connectors: ['example.blue.connector1']
+      })
+      assert.equal(quotes[0].error.name, 'InvalidAmountError')
+    })
+
+    it('returns the same-ledger quote', function * () {
+      assert.deepEqual(yield this.client.quoteAll({
+        destinationAddress: 'example.blue.bob',
+        sourceAmount: '1'
+      }), [{sourceAmount: '1', destinationAmount: '1'}])
+    })
+
+    it('converts the amounts for base units', function * () {
+      this.client.getPlugin().sendMessage = makeSendQuoteMessage({
+        source_address: 'example.blue.mark',
+        destination_address: 'example.red',
+        destination_amount: '2'
+      }, {
+        source_amount: '1.01',
+        source_connector_account: 'connector1'
+      })
+
+      const quotes = yield this.client.quoteAll({
+        destinationAddress: 'example.red',
+        destinationAmount: '2000',
+        destinationScale: 3,
+        amountUnits: 'base',
+        connectors: ['example.blue.connector1']
+      })
+      assert.equal(quotes[0].sourceAmount, '101')
+      assert.isUndefined(quotes[0].amountUnits)
+    })
+
+    it('should reject if both sourceAmount and destinationAmount are specified', function * () {
+      yield assert.isRejected(this.client.quoteAll({
+        destinationAddress: 'example.red',
+        sourceAmount: '1',
+        destinationAmount: '1'
+      }), /Should provide source or destination amount but not both/)
+    })
+  })
+
+  describe('sendQuotedPayment', function () {
+    beforeEach(function () {
+      this.client = new Client({
+        _plugin: MockPlugin
+      })
+    })
+
+    it('should reject if no executionCondition is provided and unsafeOptimisticTransport is not set', function (done) {
+      this.client.sendQuotedPayment({
+        connectorAccount: 'connector',
+        sourceAmount: '1',
+        destinationAmount: '2',
+        destinationAccount: 'example.red.bob',
+        destinationMemo: {
+          foo: 'bar'
+        },
+        expiresAt: '2016-07-02T00:00:00.000Z'
+      })
+      .catch(function (err) {
+        assert.equal(err.message, 'executionCondition must be provided unless unsafeOptimisticTransport is true')
+        assert.instanceOf(err, ilpCore.errors.InvalidArgumentError)
+        assert.equal(err.code, 'INVALID_ARGUMENT')
+        assert.equal(err.field, 'executionCondition')
+        done()
+      })
+    })
+
+    it('should reject if there is an executionCondition and no expiresAt', function (done) {
+      this.client.sendQuotedPayment({
+        connectorAccount: 'connector',
+        sourceAmount: '1',
+        destinationAmount: '2',
+        destinationAccount: 'example.red.bob',
+        destinationMemo: {
+          foo: 'bar'
+        },
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
+      })
+      .catch(function (err) {
+        assert.equal(err.message, 'executionCondition should not be used without expiresAt')
+        assert.instanceOf(err, ilpCore.errors.InvalidArgumentError)
+        assert.equal(err.code, 'INVALID_ARGUMENT')
+        assert.equal(err.field, 'expiresAt')
+        done()
+      })
+    })
+
+    it('should reject a malformed executionCondition', function * () {
+      const err = yield this.client.sendQuotedPayment({
+        connectorAccount: 'connector',
+        sourceAmount: '1',
+        destinationAmount: '2',
+        destinationAccount: 'example.red.bob',
+        destinationMemo: { foo: 'bar' },
+        executionCondition: 'cc:0:3:abc',
+        expiresAt: '2016-07-02T00:00:00.000Z'
+      }).then(() => assert(false), (err) => err)
+      assert.instanceOf(err, InvalidConditionError)
+      assert.equal(err.message, 'executionCondition must be a base64url-encoded 32-byte hash: cc:0:3:abc')
+    })
+
+    it('should reject if there is no sourceAmount', function (done) {
+      this.client.sendQuotedPayment({
+        connectorAccount: 'connector',
+        destinationAmount: '2',
+        destinationAccount: 'example.red.bob',
+        destinationMemo: { foo: 'bar' },
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        expiresAt: '2016-07-02T00:00:00.000Z'
+      })
+      .catch(function (err) {
         assert.equal(err.message, 'sourceAmount must be provided')
+        assert.instanceOf(err, ilpCore.errors.InvalidArgumentError)
+        assert.equal(err.code, 'INVALID_ARGUMENT')
+        assert.equal(err.field, 'sourceAmount')
+        done()
+      })
+    })
+
+    it('should reject if there is no destinationAmount', function (done) {
+      this.client.sendQuotedPayment({
+        connectorAccount: 'connector',
+        sourceAmount: '1',
+        destinationAccount: 'example.red.bob',
+        destinationMemo: { foo: 'bar' },
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        expiresAt: '2016-07-02T00:00:00.000Z'
+      })
+      .catch(function (err) {
+        assert.equal(err.message, 'destinationAmount must be provided')
+        assert.instanceOf(err, ilpCore.errors.InvalidArgumentError)
+        assert.equal(err.code, 'INVALID_ARGUMENT')
+        assert.equal(err.field, 'destinationAmount')
+        done()
+      })
+    })
+
+    it('should reject if there is no destinationAccount', function (done) {
+      this.client.sendQuotedPayment({
+        connectorAccount: 'connector',
+        sourceAmount: '1',
+        destinationAmount: '2',
+        destinationMemo: { foo: 'bar' },
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        expiresAt: '2016-07-02T00:00:00.000Z'
+      })
+      .catch(function (err) {
+        assert.equal(err.message, 'destinationAccount must be provided')
+        assert.instanceOf(err, ilpCore.errors.InvalidArgumentError)
+        assert.equal(err.code, 'INVALID_ARGUMENT')
+        assert.equal(err.field, 'destinationAccount')
+        done()
+      })
+    })
+
+    it('should send a transfer to the ledger plugin with the ilp packet in the data field', function (done) {
+      const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+
+      this.client.sendQuotedPayment({
+        connectorAccount: 'connector',
+        sourceAmount: '1',
+        destinationAmount: '2',
+        destinationAccount: 'example.red.bob',
+        destinationMemo: { foo: 'bar' },
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        expiresAt: '2016-07-02T00:00:00.000Z',
+        uuid: 'abcdef'
+      })
+      .then(function () {
+        assert.calledWithMatch(spy, {
+          id: 'abcdef',
+          account: 'connector', // even though sendMessage now uses .to and .from, sendTransfer still uses .account
+          ledger: 'example.blue.',
+          amount: '1',
+          ilp: packet.serializeIlpPayment({
+            account: 'example.red.bob',
+            amount: '2',
+            data: Client._stringifyPacketData({ foo: 'bar' })
+          }).toString('base64'),
+          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+          expiresAt: '2016-07-02T00:00:00.000Z'
+        })
         done()
       })
+      .catch(done)
+    })
+
+    ;[
+      {field: 'sourceAmount', amount: 'abc', message: 'sourceAmount is not a number: abc'},
+      {field: 'sourceAmount', amount: '1.001', message: 'sourceAmount has more than 2 decimal places: 1.001'},
+      {field: 'sourceAmount', amount: '123456789.1', message: 'sourceAmount exceeds the ledger precision of 10 digits: 123456789.1'},
+      {field: 'destinationAmount', amount: '-2', message: 'destinationAmount must be positive: -2'},
+      {field: 'maxSourceAmount', amount: '1.001', message: 'maxSourceAmount has more than 2 decimal places: 1.001'}
+    ].forEach(function (test) {
+      it('should reject if ' + test.field + ' is ' + test.amount, function * () {
+        const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+        yield assert.isRejected(this.client.sendQuotedPayment(Object.assign({
+          connectorAccount: 'connector',
+          sourceAmount: '1',
+          destinationAmount: '2',
+          destinationAccount: 'example.red.bob',
+          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+          expiresAt: '2016-07-02T00:00:00.000Z'
+        }, {[test.field]: test.amount})), test.message)
+        assert.notCalled(spy)
+      })
+    })
+
+    it('checks destinationAmount against the ledger for same-ledger payments', function * () {
+      yield assert.isRejected(this.client.sendQuotedPayment({
+        sourceAmount: '1.001',
+        destinationAmount: '1.001',
+        destinationAccount: 'example.blue.bob',
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        expiresAt: '2016-07-02T00:00:00.000Z'
+      }), 'sourceAmount has more than 2 decimal places: 1.001')
+    })
+
+    it('converts amounts in base units', function * () {
+      const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+      yield this.client.sendQuotedPayment({
+        connectorAccount: 'connector',
+        sourceAmount: '101',
+        destinationAmount: '2000',
+        destinationScale: 3,
+        amountUnits: 'base',
+        destinationAccount: 'example.red.bob',
+        destinationMemo: { foo: 'bar' },
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        expiresAt: '2016-07-02T00:00:00.000Z'
+      })
+      assert.calledWithMatch(spy, {
+        amount: '1.01',
+        ilp: packet.serializeIlpPayment({
+          account: 'example.red.bob',
+          amount: '2',
+          data: Client._stringifyPacketData({ foo: 'bar' })
+        }).toString('base64')
+      })
+    })
+
+    describe('memo codecs', function () {
+      beforeEach(function () {
+        this.spy = sinon.spy(this.client.plugin, 'sendTransfer')
+        this.payment = {
+          connectorAccount: 'connector',
+          sourceAmount: '1',
+          destinationAmount: '2',
+          destinationAccount: 'example.red.bob',
+          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+          expiresAt: '2016-07-02T00:00:00.000Z'
+        }
+        this.getMemo = () => ilpPayment.parsePayment(this.spy.firstCall.args[0].ilp, this.client.memoCodecs)
+      })
+
+      it('sends Buffers as binary', function * () {
+        this.payment.destinationMemo = Buffer.from([0, 1, 2, 255])
+        yield this.client.sendQuotedPayment(this.payment)
+        const payment = this.getMemo()
+        assert.equal(payment.memoCodec, 'binary')
+        assert.deepEqual(payment.destinationMemo, Buffer.from([0, 1, 2, 255]))
+      })
+
+      it('uses the given codec', function * () {
+        this.payment.destinationMemo = 'hello'
+        this.payment.memoCodec = 'text'
+        yield this.client.sendQuotedPayment(this.payment)
+        assert.deepEqual(this.getMemo(), {
+          destinationAccount: 'example.red.bob',
+          destinationAmount: '2',
+          destinationMemo: 'hello',
+          memoCodec: 'text'
+        })
+      })
+
+      it('rejects an unknown codec', function * () {
+        this.payment.destinationMemo = 'hello'
+        this.payment.memoCodec = 'foo'
+        yield assert.isRejected(this.client.sendQuotedPayment(this.payment), /Unknown memo codec: foo/)
+        sinon.assert.notCalled(this.spy)
+      })
+    })
+
+    describe('quote validity', function () {
+      beforeEach(function () {
+        this.clock = sinon.useFakeTimers(60000)
+        this.payment = {
+          connectorAccount: 'connector',
+          sourceAmount: '1',
+          destinationAmount: '2',
+          destinationAccount: 'example.red.bob',
+          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+          sourceExpiryDuration: '5',
+          quotedAt: '1970-01-01T00:00:00.000Z',
+          quoteExpiresAt: '1970-01-01T00:00:30.000Z'
+        }
+      })
+
+      afterEach(function () {
+        this.clock.restore()
+      })
+
+      it('should reject a stale quote', function * () {
+        const err = yield this.client.sendQuotedPayment(this.payment).then(() => assert(false), (err) => err)
+        assert.instanceOf(err, ilpCore.errors.QuoteExpiredError)
+        assert.equal(err.code, 'QUOTE_EXPIRED')
+        assert.equal(err.message, 'Quote expired at 1970-01-01T00:00:30.000Z')
+        assert.equal(err.quoteExpiresAt, '1970-01-01T00:00:30.000Z')
+      })
+
+      it('re-quotes a stale quote if requoteIfStale is set', function * () {
+        const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+        this.client.quote = sinon.stub().returns(Promise.resolve({
+          sourceAmount: '1.5',
+          connectorAccount: 'connector2',
+          sourceExpiryDuration: '6',
+          quotedAt: '1970-01-01T00:01:00.000Z',
+          quoteExpiresAt: '1970-01-01T00:01:30.000Z'
+        }))
+
+        yield this.client.sendQuotedPayment(Object.assign({requoteIfStale: true}, this.payment))
+
+        assert.calledWith(this.client.quote, {
+          destinationAddress: 'example.red.bob',
+          destinationAmount: '2',
+          skipCache: true,
+          reportFailures: true
+        })
+        assert.calledWithMatch(spy, {
+          account: 'connector2',
+          amount: '1.5',
+          expiresAt: '1970-01-01T00:01:06.000Z'
+        })
+      })
+
+      it('computes expiresAt from sourceExpiryDuration', function * () {
+        const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+        this.payment.quoteExpiresAt = '1970-01-01T00:01:30.000Z'
+        yield this.client.sendQuotedPayment(this.payment)
+        assert.calledWithMatch(spy, {expiresAt: '1970-01-01T00:01:05.000Z'})
+      })
     })
 
-    it('should reject if there is no destinationAmount', function (done) {
-      this.client.sendQuotedPayment({
-        connectorAccount: 'connector',
-        sourceAmount: '1',
-        destinationAccount: 'example.red.bob',
-        destinationMemo: { foo: 'bar' },
-        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
-        expiresAt: '2016-07-02T00:00:00.000Z'
+    describe('with slippage bounds', function () {
+      beforeEach(function () {
+        this.payment = {
+          connectorAccount: 'connector',
+          sourceAmount: '1',
+          destinationAmount: '2',
+          destinationAccount: 'example.red.bob',
+          destinationMemo: { foo: 'bar' },
+          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+          expiresAt: '2016-07-02T00:00:00.000Z'
+        }
+      })
+
+      it('puts minDestinationAmount in the ilp packet', function * () {
+        const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+        yield this.client.sendQuotedPayment(Object.assign({minDestinationAmount: '1.9'}, this.payment))
+        assert.calledWithMatch(spy, {
+          amount: '1',
+          ilp: packet.serializeIlpPayment({
+            account: 'example.red.bob',
+            amount: '1',
+            data: Client._stringifyPacketData({ foo: 'bar' })
+          }).toString('base64')
+        })
+      })
+
+      it('pads the transfer amount up to maxSourceAmount', function * () {
+        const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+        yield this.client.sendQuotedPayment(Object.assign({maxSourceAmount: '1.1'}, this.payment))
+        assert.calledWithMatch(spy, {amount: '1.1'})
+      })
+
+      it('should reject if destinationAmount is below minDestinationAmount', function * () {
+        const err = yield this.client.sendQuotedPayment(Object.assign({minDestinationAmount: '2.1'}, this.payment))
+          .then(() => assert(false), (err) => err)
+        assert.instanceOf(err, ilpCore.errors.SlippageError)
+        assert.equal(err.code, 'SLIPPAGE')
+        assert.match(err.message, /destinationAmount is below minDestinationAmount/)
+        assert.equal(err.field, 'destinationAmount')
+        assert.equal(err.limit, '2.1')
+      })
+
+      it('should reject if sourceAmount is above maxSourceAmount', function * () {
+        const err = yield this.client.sendQuotedPayment(Object.assign({maxSourceAmount: '0.9'}, this.payment))
+          .then(() => assert(false), (err) => err)
+        assert.instanceOf(err, ilpCore.errors.SlippageError)
+        assert.equal(err.code, 'SLIPPAGE')
+        assert.match(err.message, /sourceAmount is above maxSourceAmount/)
+        assert.equal(err.field, 'sourceAmount')
+        assert.equal(err.limit, '0.9')
+      })
+    })
+
+    it('should send Optimistic payments if unsafeOptimisticTransport is set', function (done) {
+      const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+
+      this.client.sendQuotedPayment({
+        unsafeOptimisticTransport: true,
+        connectorAccount: 'connector',
+        sourceAmount: '1',
+        destinationAmount: '2',
+        destinationAccount: 'example.red.bob',
+        destinationMemo: {
+          foo: 'bar'
+        }
+      })
+      .then(function () {
+        assert.calledWithMatch(spy, {
+          ledger: 'example.blue.',
+          account: 'connector', // even though sendMessage now uses .to and .from, sendTransfer still uses .account
+          amount: '1',
+          ilp: packet.serializeIlpPayment({
+            account: 'example.red.bob',
+            amount: '2',
+            data: Client._stringifyPacketData({ foo: 'bar' })
+          }).toString('base64')
+        })
+        done()
+      })
+      .catch(done)
+    })
+
+    describe('same-ledger transfers', function () {
+      it('sends a same-ledger transfer', function (done) {
+        const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+
+        this.client.sendQuotedPayment({
+          sourceAmount: '1',
+          destinationAmount: '1',
+          destinationAccount: 'example.blue.bob',
+          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+          expiresAt: '2016-07-02T00:00:00.000Z',
+          destinationMemo: { foo: 'bar' },
+          uuid: 'abcdef'
+        })
+        .then(function () {
+          assert.calledWithMatch(spy, {
+            id: 'abcdef',
+            account: 'example.blue.bob', // even though sendMessage now uses .to and .from, sendTransfer still uses .account
+            ledger: 'example.blue.',
+            amount: '1',
+            executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+            expiresAt: '2016-07-02T00:00:00.000Z',
+            ilp: packet.serializeIlpPayment({
+              account: 'example.blue.bob',
+              amount: '1',
+              data: Client._stringifyPacketData({ foo: 'bar' })
+            }).toString('base64')
+          })
+          done()
+        })
+        .catch(done)
+      })
+
+      it('rejects if the source and destination amounts differ', function (done) {
+        this.client.sendQuotedPayment({
+          sourceAmount: '1',
+          destinationAmount: '2',
+          destinationAccount: 'example.blue.bob',
+          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+          expiresAt: '2016-07-02T00:00:00.000Z',
+          destinationMemo: { foo: 'bar' },
+          uuid: 'abcdef'
+        })
+        .catch(function (err) {
+          assert.equal(err.message, 'sourceAmount and destinationAmount must be equivalent for local transfers')
+          assert.instanceOf(err, ilpCore.errors.InvalidArgumentError)
+          done()
+        })
+      })
+    })
+  })
+
+  describe('sendPayment', function () {
+    beforeEach(function () {
+      this.client = new Client({
+        _plugin: MockPlugin
+      })
+      this.payment = {
+        sourceAmount: '1',
+        destinationAccount: 'example.blue.bob',
+        destinationMemo: { foo: 'bar' },
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        uuid: 'abcdef'
+      }
+    })
+
+    const respondWith = (client, event, arg) => {
+      client.getPlugin().sendTransfer = function (transfer) {
+        process.nextTick(() => {
+          this.emit(event, {id: 'other'}, 'ignored')
+          this.emit(event, transfer, arg)
+        })
+        return Promise.resolve(null)
+      }
+    }
+
+    it('quotes and sends the payment, resolving with the fulfillment', function * () {
+      respondWith(this.client, 'outgoing_fulfill', 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+      const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+
+      const fulfillment = yield this.client.sendPayment(this.payment)
+
+      assert.equal(fulfillment, 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+      assert.calledWithMatch(spy, {
+        id: 'abcdef',
+        account: 'example.blue.bob',
+        amount: '1',
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
+      })
+      assert.isString(spy.firstCall.args[0].expiresAt)
+      assert.deepEqual(this.client.listeners('outgoing_fulfill'), [])
+    })
+
+    it('rejects with the reason when the transfer is rejected', function * () {
+      respondWith(this.client, 'outgoing_reject', {message: 'nope'})
+      yield assert.isRejected(this.client.sendPayment(this.payment), /Transfer rejected: nope/)
+    })
+
+    it('rejects when the transfer is cancelled', function * () {
+      respondWith(this.client, 'outgoing_cancel', 'expired')
+      yield assert.isRejected(this.client.sendPayment(this.payment), /Transfer cancelled/)
+    })
+
+    it('rejects with a typed error carrying the structured reason', function * () {
+      respondWith(this.client, 'outgoing_reject', {code: 'T04', message: 'out of liquidity', triggered_by: 'example.red.connie'})
+      const err = yield this.client.sendPayment(this.payment).then(() => assert(false), (err) => err)
+      assert.instanceOf(err, ilpCore.errors.TransferRejectedError)
+      assert.equal(err.code, 'TRANSFER_REJECTED')
+      assert.equal(err.message, 'Transfer rejected: out of liquidity')
+      assert.deepEqual(err.reason, {
+        code: 'T04',
+        name: 'Insufficient Liquidity',
+        category: 'temporary',
+        triggeredBy: 'example.red.connie',
+        message: 'out of liquidity',
+        data: {}
+      })
+    })
+
+    it('rejects with a typed error when the transfer is cancelled', function * () {
+      respondWith(this.client, 'outgoing_cancel', 'expired')
+      const cancelled = yield this.client.sendPayment(this.payment).then(() => assert(false), (err) => err)
+      assert.instanceOf(cancelled, ilpCore.errors.TransferCancelledError)
+      assert.equal(cancelled.code, 'TRANSFER_CANCELLED')
+      assert.equal(cancelled.reason.code, 'R00')
+    })
+
+    it('rejects if the fulfillment does not match the condition', function * () {
+      const spy = sinon.spy()
+      this.client.on('outgoing_fulfill', spy)
+      this.client.on('invalid_fulfillment', spy)
+      respondWith(this.client, 'outgoing_fulfill', 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA')
+
+      const err = yield this.client.sendPayment(this.payment).then(() => assert(false), (err) => err)
+
+      assert.instanceOf(err, InvalidFulfillmentError)
+      assert.equal(err.message, 'Received a fulfillment that does not match the condition of transfer abcdef')
+      assert.equal(err.fulfillment, 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA')
+      // the other transfer has no condition to check against, so it's still relayed
+      sinon.assert.calledTwice(spy)
+      sinon.assert.calledWith(spy, sinon.match({id: 'abcdef'}), 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA')
+    })
+
+    it('rejects if no outcome is received before expiresAt', function * () {
+      this.payment.expiresAt = (new Date(Date.now() + 10)).toISOString()
+      const err = yield this.client.sendPayment(this.payment).then(() => assert(false), (err) => err)
+      assert.instanceOf(err, ilpCore.errors.TransferExpiredError)
+      assert.equal(err.code, 'TRANSFER_EXPIRED')
+      assert.equal(err.message, 'Transfer expired before an outcome was received')
+      assert.equal(err.transferId, 'abcdef')
+    })
+
+    it('rejects if the client disconnects before an outcome is received', function * () {
+      yield this.client.connect()
+      const result = this.client.sendPayment(this.payment)
+      yield new Promise((resolve) => setImmediate(resolve))
+      this.client.disconnect()
+      const err = yield result.then(() => assert(false), (err) => err)
+      assert.instanceOf(err, ilpCore.errors.DisconnectedError)
+      assert.equal(err.code, 'DISCONNECTED')
+      assert.equal(err.message, 'Disconnected before an outcome was received')
+      assert.deepEqual(this.client.listeners('outgoing_fulfill'), [])
+    })
+
+    describe('retried with the same uuid', function () {
+      it('resolves with the fulfillment without quoting or sending again', function * () {
+        respondWith(this.client, 'outgoing_fulfill', 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        yield this.client.sendPayment(this.payment)
+        const quote = sinon.spy(this.client, 'quote')
+        const sendTransfer = sinon.spy(this.client.plugin, 'sendTransfer')
+        assert.equal(yield this.client.sendPayment(this.payment), 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        assert.notCalled(quote)
+        assert.notCalled(sendTransfer)
+      })
+
+      it('rejects with the recorded reason if the transfer was rejected', function * () {
+        respondWith(this.client, 'outgoing_reject', {message: 'nope'})
+        yield assert.isRejected(this.client.sendPayment(this.payment), /Transfer rejected: nope/)
+        const err = yield this.client.sendPayment(this.payment).then(() => assert(false), (err) => err)
+        assert.instanceOf(err, ilpCore.errors.TransferRejectedError)
+        assert.equal(err.message, 'Transfer rejected: nope')
+        assert.equal(err.transferId, 'abcdef')
+        assert.equal(err.reason.code, 'F99')
+      })
+
+      it('rejects again if the fulfillment did not match the condition', function * () {
+        respondWith(this.client, 'outgoing_fulfill', 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA')
+        yield assert.isRejected(this.client.sendPayment(this.payment), InvalidFulfillmentError)
+        const err = yield this.client.sendPayment(this.payment).then(() => assert(false), (err) => err)
+        assert.instanceOf(err, InvalidFulfillmentError)
+        assert.equal(err.fulfillment, 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA')
+        assert.equal(err.transferId, 'abcdef')
+      })
+
+      it('waits for the outcome if the transfer is still prepared', function * () {
+        yield this.client.connect()
+        const first = this.client.sendPayment(this.payment)
+        yield new Promise((resolve) => setImmediate(resolve))
+        this.client.disconnect()
+        yield assert.isRejected(first, /Disconnected before an outcome was received/)
+
+        const sendTransfer = sinon.spy(this.client.plugin, 'sendTransfer')
+        const retry = this.client.sendPayment(this.payment)
+        yield new Promise((resolve) => setImmediate(resolve))
+        this.client.plugin.emit('outgoing_fulfill', {
+          id: 'abcdef',
+          executionCondition: this.payment.executionCondition
+        }, 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        assert.equal(yield retry, 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        assert.notCalled(sendTransfer)
+      })
+
+      it('rejects a different payment with the same uuid', function * () {
+        respondWith(this.client, 'outgoing_fulfill', 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        yield this.client.sendPayment(this.payment)
+        yield assert.isRejected(this.client.sendPayment(Object.assign({}, this.payment, {
+          executionCondition: 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'
+        })), ilpCore.errors.TransferConflictError)
+      })
+
+      it('rejects a retry with a different amount', function * () {
+        respondWith(this.client, 'outgoing_fulfill', 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        yield this.client.sendPayment(this.payment)
+        const err = yield this.client.sendPayment(Object.assign({}, this.payment, {sourceAmount: '2'}))
+          .then(() => assert(false), (err) => err)
+        assert.instanceOf(err, ilpCore.errors.TransferConflictError)
+        assert.equal(err.transferId, 'abcdef')
+      })
+
+      it('rejects a retry to a different destination', function * () {
+        respondWith(this.client, 'outgoing_fulfill', 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        yield this.client.sendPayment(this.payment)
+        yield assert.isRejected(this.client.sendPayment(Object.assign({}, this.payment, {
+          destinationAccount: 'example.blue.carl'
+        })), ilpCore.errors.TransferConflictError)
+      })
+
+      it('accepts the same amount written differently', function * () {
+        respondWith(this.client, 'outgoing_fulfill', 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        yield this.client.sendPayment(this.payment)
+        assert.equal(yield this.client.sendPayment(Object.assign({}, this.payment, {sourceAmount: '1.00'})),
+          'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+      })
+    })
+
+    it('keeps the process alive while waiting for the outcome', function * () {
+      yield this.client.connect()
+      const setTimer = sinon.spy(timer, 'setTimer')
+      const payment = this.client.sendPayment(this.payment)
+      yield new Promise((resolve) => setImmediate(resolve))
+      setTimer.restore()
+      // the wait for the outcome, then the tracker's watchdog
+      const timers = setTimer.returnValues
+      assert.equal(timers.length, 2)
+      assert.isTrue(timers[0].timeout.hasRef())
+      assert.isFalse(timers[1].timeout.hasRef())
+      this.client.disconnect()
+      yield assert.isRejected(payment, /Disconnected before an outcome was received/)
+    })
+
+    it('rejects if no quote is available', function * () {
+      this.client.quote = () => Promise.resolve(undefined)
+      yield assert.isRejected(this.client.sendPayment(this.payment), /No quote available for payment/)
+    })
+
+    it('stops listening if the transfer cannot be sent', function * () {
+      this.client.getPlugin().sendTransfer = () => Promise.reject(new Error('broken'))
+      yield assert.isRejected(this.client.sendPayment(this.payment), /broken/)
+      assert.deepEqual(this.client.listeners('outgoing_reject'), [])
+    })
+  })
+
+  describe('outgoing transfers', function () {
+    beforeEach(function () {
+      this.clock = sinon.useFakeTimers(0)
+      this.client = new Client({_plugin: MockPlugin}, {transferHistoryTtl: 60000})
+      this.payment = {
+        sourceAmount: '1',
+        destinationAmount: '1',
+        destinationAccount: 'example.blue.bob',
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        expiresAt: '1970-01-01T00:00:10.000Z',
+        uuid: 'abcdef'
+      }
+      this.transfer = {id: 'abcdef', executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'}
+    })
+
+    afterEach(function () {
+      this.clock.restore()
+    })
+
+    it('validates transferHistoryTtl', function () {
+      assert.throws(() => new Client({_plugin: MockPlugin}, {transferHistoryTtl: '1'}),
+        '"clientOpts.transferHistoryTtl" must be a Number or undefined')
+    })
+
+    it('records a sent transfer as prepared', function * () {
+      yield this.client.sendQuotedPayment(this.payment)
+      assert.deepEqual(this.client.getOutgoingTransfer('abcdef'), {
+        id: 'abcdef',
+        account: 'example.blue.bob',
+        amount: '1',
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        expiresAt: '1970-01-01T00:00:10.000Z',
+        state: 'prepared',
+        preparedAt: '1970-01-01T00:00:00.000Z'
+      })
+      assert.deepEqual(this.client.getStatus().outgoingTransfers, {prepared: 1})
+    })
+
+    it('records transfers whose ids are Object.prototype members', function * () {
+      for (const id of ['__proto__', 'constructor']) {
+        yield this.client.sendQuotedPayment(Object.assign({}, this.payment, {uuid: id}))
+        assert.equal(this.client.getOutgoingTransfer(id).state, 'prepared')
+      }
+      assert.lengthOf(this.client.getOutgoingTransfers(), 2)
+      assert.isUndefined(this.client.getOutgoingTransfer('toString'))
+    })
+
+    it('does not record a transfer the plugin failed to send', function * () {
+      this.client.plugin.sendTransfer = () => Promise.reject(new Error('broken'))
+      yield assert.isRejected(this.client.sendQuotedPayment(this.payment), /broken/)
+      assert.isUndefined(this.client.getOutgoingTransfer('abcdef'))
+    })
+
+    ;[
+      {event: 'outgoing_fulfill', arg: 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok', state: 'fulfilled', field: 'fulfillment'},
+      {
+        event: 'outgoing_reject',
+        arg: {message: 'nope'},
+        state: 'rejected',
+        field: 'reason',
+        expected: {code: 'F99', name: 'Application Error', category: 'final', message: 'nope', data: {}}
+      },
+      {
+        event: 'outgoing_cancel',
+        arg: 'expired',
+        state: 'cancelled',
+        field: 'reason',
+        expected: {code: 'R00', name: 'Transfer Timed Out', category: 'relative', message: 'expired', data: {}}
+      }
+    ].forEach(function (test) {
+      it('records `' + test.event + '` as ' + test.state, function * () {
+        yield this.client.sendQuotedPayment(this.payment)
+        this.clock.tick(1000)
+        this.client.plugin.emit(test.event, this.transfer, test.arg)
+        const record = this.client.getOutgoingTransfer('abcdef')
+        assert.equal(record.state, test.state)
+        assert.deepEqual(record[test.field], test.expected || test.arg)
+        assert.equal(record.settledAt, '1970-01-01T00:00:01.000Z')
+        assert.deepEqual(this.client.getOutgoingTransfers(test.state), [record])
+        assert.deepEqual(this.client.getOutgoingTransfers('prepared'), [])
+      })
+    })
+
+    it('records fulfillments that do not match the condition as unverified', function * () {
+      const invalid = sinon.spy()
+      const expired = sinon.spy()
+      this.client.on('invalid_fulfillment', invalid)
+      this.client.on('expired', expired)
+      yield this.client.sendQuotedPayment(this.payment)
+      this.client.plugin.emit('outgoing_fulfill', this.transfer, 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA')
+      const record = this.client.getOutgoingTransfer('abcdef')
+      assert.equal(record.state, 'unverified')
+      assert.equal(record.fulfillment, 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA')
+      assert.calledOnce(invalid)
+
+      this.clock.tick(10000)
+      assert.equal(this.client.getOutgoingTransfer('abcdef').state, 'unverified')
+      assert.notCalled(expired)
+    })
+
+    it('records optimistic transfers as fulfilled once executed', function * () {
+      delete this.payment.executionCondition
+      delete this.payment.expiresAt
+      this.payment.unsafeOptimisticTransport = true
+      yield this.client.sendQuotedPayment(this.payment)
+      this.client.plugin.emit('outgoing_transfer', {id: 'abcdef'})
+      assert.equal(this.client.getOutgoingTransfer('abcdef').state, 'fulfilled')
+    })
+
+    it('emits `expired` if there is no outcome by expiresAt', function * () {
+      const spy = sinon.spy()
+      this.client.on('expired', spy)
+      yield this.client.sendQuotedPayment(this.payment)
+
+      this.clock.tick(9999)
+      assert.notCalled(spy)
+      this.clock.tick(1)
+      assert.calledOnce(spy)
+      assert.calledWithMatch(spy, {id: 'abcdef', state: 'expired', settledAt: '1970-01-01T00:00:10.000Z'})
+      assert.equal(this.client.getOutgoingTransfer('abcdef').state, 'expired')
+    })
+
+    it('does not emit `expired` once there is an outcome', function * () {
+      const spy = sinon.spy()
+      this.client.on('expired', spy)
+      yield this.client.sendQuotedPayment(this.payment)
+      this.client.plugin.emit('outgoing_reject', this.transfer, {message: 'nope'})
+      this.clock.tick(10000)
+      assert.notCalled(spy)
+    })
+
+    it('emits `expired` for expiries beyond the longest setTimeout delay', function * () {
+      const spy = sinon.spy()
+      this.client.on('expired', spy)
+      this.payment.expiresAt = (new Date(Math.pow(2, 32))).toISOString()
+      yield this.client.sendQuotedPayment(this.payment)
+      this.clock.tick(Math.pow(2, 31))
+      assert.notCalled(spy)
+      this.clock.tick(Math.pow(2, 31))
+      assert.calledOnce(spy)
+    })
+
+    it('does not watch for expiry while disconnected', function * () {
+      const spy = sinon.spy()
+      this.client.on('expired', spy)
+      yield this.client.connect()
+      yield this.client.sendQuotedPayment(this.payment)
+      this.client.disconnect()
+      this.clock.tick(10000)
+      assert.notCalled(spy)
+      this.client.connect()
+      this.clock.tick(0)
+      assert.calledWithMatch(spy, {id: 'abcdef', state: 'expired'})
+    })
+
+    it('lets a late outcome override expired', function * () {
+      yield this.client.sendQuotedPayment(this.payment)
+      this.clock.tick(10000)
+      this.client.plugin.emit('outgoing_cancel', this.transfer, 'expired')
+      assert.equal(this.client.getOutgoingTransfer('abcdef').state, 'cancelled')
+    })
+
+    describe('with a repeated uuid', function () {
+      beforeEach(function () {
+        this.sendTransfer = sinon.spy(this.client.plugin, 'sendTransfer')
+      })
+
+      it('only sends the transfer once', function * () {
+        const first = this.client.sendQuotedPayment(this.payment)
+        const second = this.client.sendQuotedPayment(this.payment)
+        assert.equal(yield first, yield second)
+        yield this.client.sendQuotedPayment(this.payment)
+        assert.calledOnce(this.sendTransfer)
+      })
+
+      it('still deduplicates once the transfer is settled', function * () {
+        yield this.client.sendQuotedPayment(this.payment)
+        this.client.plugin.emit('outgoing_fulfill', this.transfer, 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        yield this.client.sendQuotedPayment(this.payment)
+        assert.calledOnce(this.sendTransfer)
+      })
+
+      it('rejects a different payment with the same uuid', function * () {
+        yield this.client.sendQuotedPayment(this.payment)
+        const err = yield this.client.sendQuotedPayment(Object.assign({}, this.payment, {destinationAccount: 'example.blue.carl'}))
+          .then(() => assert(false), (err) => err)
+        assert.instanceOf(err, ilpCore.errors.TransferConflictError)
+        assert.equal(err.message, 'A different transfer was already sent with id: abcdef')
+        assert.equal(err.transferId, 'abcdef')
+        assert.calledOnce(this.sendTransfer)
+      })
+
+      it('sends the transfer again if the first attempt failed', function * () {
+        this.sendTransfer.restore()
+        const sendTransfer = sinon.stub(this.client.plugin, 'sendTransfer')
+        sendTransfer.onFirstCall().returns(Promise.reject(new Error('socket hang up')))
+        sendTransfer.onSecondCall().returns(Promise.resolve(null))
+        yield assert.isRejected(this.client.sendQuotedPayment(this.payment), /socket hang up/)
+        yield this.client.sendQuotedPayment(this.payment)
+        assert.calledTwice(sendTransfer)
+        assert.equal(this.client.getOutgoingTransfer('abcdef').state, 'prepared')
+      })
+
+      it('compares with the tracked transfer after a restart', function * () {
+        const store = new ilpCore.MemoryStore()
+        const client = new Client({_plugin: MockPlugin}, {store})
+        yield client.sendQuotedPayment(this.payment)
+        yield client.storeWrites
+
+        const restarted = new Client({_plugin: MockPlugin}, {store})
+        yield restarted.connect()
+        const sendTransfer = sinon.spy(restarted.plugin, 'sendTransfer')
+        yield restarted.sendQuotedPayment(this.payment)
+        yield assert.isRejected(restarted.sendQuotedPayment(Object.assign({}, this.payment, {sourceAmount: '2', destinationAmount: '2'})),
+          ilpCore.errors.TransferConflictError)
+        assert.notCalled(sendTransfer)
+      })
+    })
+
+    it('forgets settled transfers after transferHistoryTtl', function * () {
+      yield this.client.sendQuotedPayment(this.payment)
+      this.client.plugin.emit('outgoing_fulfill', this.transfer, 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+      this.clock.tick(60000)
+      yield this.client.sendQuotedPayment(Object.assign(this.payment, {uuid: 'ghijkl', expiresAt: '1970-01-01T00:02:00.000Z'}))
+      assert.isUndefined(this.client.getOutgoingTransfer('abcdef'))
+      assert.equal(this.client.getOutgoingTransfer('ghijkl').state, 'prepared')
+    })
+  })
+
+  describe('sendChunkedPayment', function () {
+    beforeEach(function () {
+      this.client = new Client({_plugin: MockPlugin})
+      this.quoteAll = sinon.stub(this.client, 'quoteAll').returns(Promise.resolve([{
+        connector: 'example.blue.connector1',
+        sourceAmount: '0.01',
+        destinationAmount: '0.01',
+        liquidityCurve: [[0, 0], [10, 10]]
+      }, {
+        connector: 'example.blue.connector2',
+        error: new Error('Timed out while awaiting response message')
+      }]))
+      this.sendPayment = sinon.stub(this.client, 'sendPayment').returns(Promise.resolve('fulfillment'))
+      this.payment = {
+        sourceAmount: '25',
+        destinationAccount: 'example.red.bob',
+        destinationMemo: {foo: 'bar'},
+        executionCondition: (chunk) => 'condition' + chunk.index
+      }
+    })
+
+    it('quotes the connectors for one base unit and sends a payment per chunk', function * () {
+      const result = yield this.client.sendChunkedPayment(this.payment)
+
+      assert.calledWithMatch(this.quoteAll, {sourceAmount: '0.01', destinationAddress: 'example.red.bob'})
+      assert.equal(this.sendPayment.callCount, 3)
+      assert.deepEqual(this.sendPayment.args.map((args) => args[0].sourceAmount), ['10', '10', '5'])
+      assert.calledWithMatch(this.sendPayment, {
+        sourceAmount: '5',
+        destinationAccount: 'example.red.bob',
+        destinationMemo: {foo: 'bar'},
+        connectors: ['example.blue.connector1'],
+        executionCondition: 'condition2'
+      })
+      assert.equal(result.fulfilledAmount, '25')
+      assert.deepEqual(result.chunks.map((chunk) => chunk.state), ['fulfilled', 'fulfilled', 'fulfilled'])
+    })
+
+    it('rejects with a PartialPaymentError if a chunk fails', function * () {
+      this.payment.concurrency = 1
+      this.sendPayment.onCall(1).returns(Promise.reject(new Error('Transfer rejected: nope')))
+
+      const err = yield this.client.sendChunkedPayment(this.payment).then(() => assert(false), (err) => err)
+
+      assert.instanceOf(err, ilpCore.errors.PartialPaymentError)
+      assert.equal(err.message, '1 of 3 chunks failed, sent 10 of 25: Transfer rejected: nope')
+      assert.deepEqual(err.result.chunks.map((chunk) => chunk.state), ['fulfilled', 'failed', 'skipped'])
+    })
+
+    it('sends same-ledger payments in one chunk', function * () {
+      this.payment.destinationAccount = 'example.blue.bob'
+      yield this.client.sendChunkedPayment(this.payment)
+      assert.notCalled(this.quoteAll)
+      assert.calledOnce(this.sendPayment)
+      assert.calledWithMatch(this.sendPayment, {sourceAmount: '25', connectors: undefined})
+    })
+
+    it('requires a sourceAmount', function * () {
+      delete this.payment.sourceAmount
+      const err = yield this.client.sendChunkedPayment(this.payment).then(() => assert(false), (err) => err)
+      assert.instanceOf(err, ilpCore.errors.InvalidArgumentError)
+      assert.equal(err.code, 'INVALID_ARGUMENT')
+      assert.equal(err.field, 'sourceAmount')
+    })
+
+    it('requires a condition per chunk', function * () {
+      this.payment.executionCondition = 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
+      yield assert.isRejected(this.client.sendChunkedPayment(this.payment),
+        ilpCore.errors.InvalidArgumentError, /executionCondition must be a function returning a condition for each chunk/)
+    })
+
+    it('rejects if no connector returns a quote', function * () {
+      this.quoteAll.returns(Promise.resolve([{connector: 'example.blue.connector1', error: new Error('nope')}]))
+      yield assert.isRejected(this.client.sendChunkedPayment(this.payment),
+        /No quotes available for chunked payment/)
+    })
+
+    it('validates the amount and concurrency', function * () {
+      yield assert.isRejected(this.client.sendChunkedPayment(Object.assign(this.payment, {sourceAmount: '1.001'})),
+        /sourceAmount has more than 2 decimal places: 1.001/)
+      yield assert.isRejected(this.client.sendChunkedPayment(Object.assign(this.payment, {sourceAmount: '1', concurrency: 0})),
+        /concurrency must be a positive integer/)
+    })
+  })
+
+  describe('payment requests', function () {
+    beforeEach(function () {
+      this.clock = sinon.useFakeTimers(0)
+      this.client = new Client({_plugin: MockPlugin})
+      this.request = this.client.createPaymentRequest({
+        id: 'abc',
+        amount: '10',
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        memo: {invoice: 1}
+      })
+      this.transfer = {
+        id: 'transfer1',
+        amount: '10',
+        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+        ilp: packet.serializeIlpPayment({
+          account: 'example.blue.mark.abc',
+          amount: '10',
+          data: ''
+        }).toString('base64')
+      }
+      this.statuses = []
+      this.client.on('payment_request_status', (request) => this.statuses.push(request.status))
+    })
+
+    afterEach(function () {
+      this.clock.restore()
+    })
+
+    describe('createPaymentRequest', function () {
+      it('creates a pending request below our account', function () {
+        assert.deepEqual(this.request, {
+          id: 'abc',
+          address: 'example.blue.mark.abc',
+          amount: '10',
+          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+          expiresAt: '1970-01-01T00:01:00.000Z',
+          memo: {invoice: 1},
+          status: 'pending'
+        })
+      })
+
+      it('requires a valid executionCondition', function () {
+        assert.throws(() => this.client.createPaymentRequest({amount: '1', executionCondition: 'foo'}),
+          'Invalid payment request: executionCondition must be a base64url-encoded 32-byte hash: foo')
+      })
+
+      it('rejects duplicate ids', function () {
+        assert.throws(() => this.client.createPaymentRequest({
+          id: 'abc',
+          amount: '1',
+          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
+        }), 'A payment request already exists with id: abc')
+      })
+    })
+
+    describe('status', function () {
+      it('is prepared and then fulfilled by a matching transfer', function * () {
+        yield this.client.plugin.emitAsync('incoming_prepare', this.transfer)
+        assert.equal(this.client.getPaymentRequest('abc').status, 'prepared')
+        assert.equal(this.client.getPaymentRequest('abc').transferId, 'transfer1')
+
+        yield this.client.plugin.emitAsync('incoming_fulfill', this.transfer, 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        assert.equal(this.client.getPaymentRequest('abc').status, 'fulfilled')
+        assert.deepEqual(this.statuses, ['prepared', 'fulfilled'])
+      })
+
+      it('is pending again if the transfer is cancelled', function * () {
+        yield this.client.plugin.emitAsync('incoming_prepare', this.transfer)
+        yield this.client.plugin.emitAsync('incoming_cancel', this.transfer, 'expired')
+        assert.equal(this.client.getPaymentRequest('abc').status, 'pending')
+        assert.isUndefined(this.client.getPaymentRequest('abc').transferId)
+        assert.deepEqual(this.statuses, ['prepared', 'pending'])
+      })
+
+      it('is expired if the transfer is cancelled after the request expired', function * () {
+        yield this.client.plugin.emitAsync('incoming_prepare', this.transfer)
+        this.clock.tick(60000)
+        yield this.client.plugin.emitAsync('incoming_cancel', this.transfer, 'expired')
+        assert.deepEqual(this.statuses, ['prepared', 'expired'])
       })
-      .catch(function (err) {
-        assert.equal(err.message, 'destinationAmount must be provided')
-        done()
+
+      it('is expired once expiresAt has passed', function () {
+        this.clock.tick(60000)
+        assert.equal(this.client.getPaymentRequest('abc').status, 'expired')
       })
-    })
 
-    it('should reject if there is no destinationAccount', function (done) {
-      this.client.sendQuotedPayment({
-        connectorAccount: 'connector',
-        sourceAmount: '1',
-        destinationAmount: '2',
-        destinationMemo: { foo: 'bar' },
-        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
-        expiresAt: '2016-07-02T00:00:00.000Z'
+      ;[
+        {description: 'too little', transfer: {amount: '9'}},
+        {description: 'a different condition', transfer: {executionCondition: 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'}},
+        {description: 'an optimistic transfer', transfer: {executionCondition: undefined}}
+      ].forEach(function (test) {
+        it('does not match ' + test.description, function * () {
+          yield this.client.plugin.emitAsync('incoming_prepare', Object.assign(this.transfer, test.transfer))
+          assert.equal(this.client.getPaymentRequest('abc').status, 'pending')
+          assert.deepEqual(this.statuses, [])
+        })
       })
-      .catch(function (err) {
-        assert.equal(err.message, 'destinationAccount must be provided')
-        done()
+
+      it('does not match a second transfer', function * () {
+        yield this.client.plugin.emitAsync('incoming_prepare', this.transfer)
+        yield this.client.plugin.emitAsync('incoming_prepare', Object.assign({}, this.transfer, {id: 'transfer2'}))
+        assert.equal(this.client.getPaymentRequest('abc').transferId, 'transfer1')
       })
     })
 
-    it('should send a transfer to the ledger plugin with the ilp packet in the data field', function (done) {
-      const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+    describe('pruning', function () {
+      it('forgets fulfilled requests after transferHistoryTtl', function * () {
+        yield this.client.plugin.emitAsync('incoming_prepare', this.transfer)
+        yield this.client.plugin.emitAsync('incoming_fulfill', this.transfer, 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok')
+        assert.equal(this.client.getPaymentRequest('abc').fulfilledAt, '1970-01-01T00:00:00.000Z')
+        this.clock.tick(600000 - 1)
+        this.client.createPaymentRequest({amount: '1', executionCondition: this.transfer.executionCondition})
+        assert.equal(this.client.getPaymentRequest('abc').status, 'fulfilled')
+        this.clock.tick(1)
+        this.client.createPaymentRequest({amount: '1', executionCondition: this.transfer.executionCondition})
+        assert.isUndefined(this.client.getPaymentRequest('abc'))
+        assert.lengthOf(this.client.getPaymentRequests(), 2)
+      })
 
-      this.client.sendQuotedPayment({
-        connectorAccount: 'connector',
-        sourceAmount: '1',
-        destinationAmount: '2',
-        destinationAccount: 'example.red.bob',
-        destinationMemo: { foo: 'bar' },
-        executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
-        expiresAt: '2016-07-02T00:00:00.000Z',
-        uuid: 'abcdef'
+      it('forgets expired requests after transferHistoryTtl', function () {
+        this.clock.tick(60000 + 600000)
+        this.client.createPaymentRequest({id: 'def', amount: '1', executionCondition: this.transfer.executionCondition})
+        assert.isUndefined(this.client.getPaymentRequest('abc'))
       })
-      .then(function () {
-        assert.calledWithMatch(spy, {
-          id: 'abcdef',
-          account: 'connector', // even though sendMessage now uses .to and .from, sendTransfer still uses .account
-          ledger: 'example.blue.',
-          amount: '1',
-          ilp: packet.serializeIlpPayment({
-            account: 'example.red.bob',
-            amount: '2',
-            data: Client._stringifyPacketData({ foo: 'bar' })
-          }).toString('base64'),
-          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
-          expiresAt: '2016-07-02T00:00:00.000Z'
+
+      it('keeps prepared requests until the transfer settles', function * () {
+        yield this.client.plugin.emitAsync('incoming_prepare', this.transfer)
+        this.clock.tick(60000 + 600000)
+        this.client.createPaymentRequest({id: 'def', amount: '1', executionCondition: this.transfer.executionCondition})
+        assert.equal(this.client.getPaymentRequest('abc').status, 'prepared')
+      })
+
+      it('is not fooled by ids that are Object.prototype properties', function * () {
+        const transfer = Object.assign({}, this.transfer, {
+          ilp: packet.serializeIlpPayment({account: 'example.blue.mark.constructor', amount: '10', data: ''})
+            .toString('base64')
         })
-        done()
+        yield this.client.plugin.emitAsync('incoming_prepare', transfer)
+        assert.deepEqual(this.statuses, [])
+        assert.equal(this.client.createPaymentRequest({
+          id: '__proto__',
+          amount: '1',
+          executionCondition: this.transfer.executionCondition
+        }).id, '__proto__')
+        assert.lengthOf(this.client.getPaymentRequests(), 2)
       })
-      .catch(done)
     })
 
-    it('should send Optimistic payments if unsafeOptimisticTransport is set', function (done) {
-      const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+    it('getPaymentRequests lists copies of the requests', function () {
+      const requests = this.client.getPaymentRequests()
+      assert.deepEqual(requests, [this.client.getPaymentRequest('abc')])
+      requests[0].status = 'fulfilled'
+      assert.equal(this.client.getPaymentRequest('abc').status, 'pending')
+    })
 
-      this.client.sendQuotedPayment({
-        unsafeOptimisticTransport: true,
-        connectorAccount: 'connector',
-        sourceAmount: '1',
-        destinationAmount: '2',
-        destinationAccount: 'example.red.bob',
-        destinationMemo: {
-          foo: 'bar'
-        }
+    it('removePaymentRequest forgets the request', function * () {
+      this.client.removePaymentRequest('abc')
+      assert.isUndefined(this.client.getPaymentRequest('abc'))
+      yield this.client.plugin.emitAsync('incoming_prepare', this.transfer)
+      assert.deepEqual(this.statuses, [])
+    })
+
+    describe('paying a request', function () {
+      beforeEach(function () {
+        this.sendTransfer = sinon.spy(this.client.plugin, 'sendTransfer')
       })
-      .then(function () {
-        assert.calledWithMatch(spy, {
-          ledger: 'example.blue.',
-          account: 'connector', // even though sendMessage now uses .to and .from, sendTransfer still uses .account
-          amount: '1',
+
+      it('sendQuotedPayment takes the destination, condition and memo from the request', function * () {
+        yield this.client.sendQuotedPayment({
+          sourceAmount: '10',
+          destinationAmount: '10',
+          paymentRequest: ilpCore.paymentRequest.serialize(this.request),
+          expiresAt: '1970-01-01T00:00:10.000Z'
+        })
+        assert.calledWithMatch(this.sendTransfer, {
+          account: 'example.blue.mark.abc',
+          amount: '10',
+          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
           ilp: packet.serializeIlpPayment({
-            account: 'example.red.bob',
-            amount: '2',
-            data: Client._stringifyPacketData({ foo: 'bar' })
+            account: 'example.blue.mark.abc',
+            amount: '10',
+            data: Client._stringifyPacketData({invoice: 1})
           }).toString('base64')
         })
-        done()
       })
-      .catch(done)
+
+      it('quote takes the destination from the request', function * () {
+        const quote = yield this.client.quote({paymentRequest: this.request})
+        assert.deepEqual(quote, {sourceAmount: '10', destinationAmount: '10'})
+      })
+
+      it('quoteAll takes the destination from the request', function * () {
+        assert.deepEqual(yield this.client.quoteAll({paymentRequest: this.request}),
+          [{sourceAmount: '10', destinationAmount: '10'}])
+      })
+
+      it('rejects an expired request', function * () {
+        this.clock.tick(60000)
+        yield assert.isRejected(this.client.sendPayment({paymentRequest: this.request}),
+          /Payment request expired at 1970-01-01T00:01:00.000Z/)
+      })
+
+      it('rejects an invalid request', function * () {
+        yield assert.isRejected(this.client.sendQuotedPayment({paymentRequest: '{'}),
+          /Payment request is not valid JSON/)
+        assert.notCalled(this.sendTransfer)
+      })
     })
+  })
 
-    describe('same-ledger transfers', function () {
-      it('sends a same-ledger transfer', function (done) {
-        const spy = sinon.spy(this.client.plugin, 'sendTransfer')
+  describe('persistence', function () {
+    beforeEach(function () {
+      this.clock = sinon.useFakeTimers(0)
+      this.store = new ilpCore.MemoryStore()
+      this.client = new Client({_plugin: MockPlugin}, {store: this.store})
+      this.condition = 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
+      this.fulfillment = 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok'
+      this.incomingTransfer = {
+        id: 'transfer1',
+        amount: '10',
+        executionCondition: this.condition,
+        ilp: packet.serializeIlpPayment({
+          account: 'example.blue.mark.abc',
+          amount: '10',
+          data: ''
+        }).toString('base64')
+      }
+    })
 
-        this.client.sendQuotedPayment({
-          sourceAmount: '1',
-          destinationAmount: '1',
-          destinationAccount: 'example.blue.bob',
-          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
-          expiresAt: '2016-07-02T00:00:00.000Z',
-          destinationMemo: { foo: 'bar' },
-          uuid: 'abcdef'
-        })
-        .then(function () {
-          assert.calledWithMatch(spy, {
-            id: 'abcdef',
-            account: 'example.blue.bob', // even though sendMessage now uses .to and .from, sendTransfer still uses .account
-            ledger: 'example.blue.',
-            amount: '1',
-            executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
-            expiresAt: '2016-07-02T00:00:00.000Z',
-            ilp: packet.serializeIlpPayment({
-              account: 'example.blue.bob',
-              amount: '1',
-              data: Client._stringifyPacketData({ foo: 'bar' })
-            }).toString('base64')
-          })
-          done()
-        })
-        .catch(done)
+    afterEach(function () {
+      this.clock.restore()
+    })
+
+    it('validates the store', function () {
+      assert.throws(() => new Client({_plugin: MockPlugin}, {store: {get: () => {}}}),
+        TypeError, '"clientOpts.store" is missing methods: put, del')
+    })
+
+    it('persists outgoing transfers, incoming transfers and payment requests', function * () {
+      this.client.createPaymentRequest({id: 'abc', amount: '10', executionCondition: this.condition})
+      yield this.client.plugin.emitAsync('incoming_prepare', this.incomingTransfer)
+      yield this.client.sendQuotedPayment({
+        sourceAmount: '1',
+        destinationAmount: '1',
+        destinationAccount: 'example.blue.bob',
+        executionCondition: this.condition,
+        expiresAt: '1970-01-01T00:00:10.000Z',
+        uuid: 'abcdef'
       })
+      yield this.client.storeWrites
+
+      assert.deepEqual(JSON.parse(yield this.store.get('outgoing_transfers')), ['abcdef'])
+      assert.equal(JSON.parse(yield this.store.get('outgoing_transfers:abcdef')).state, 'prepared')
+      assert.deepEqual(JSON.parse(yield this.store.get('incoming_transfers')), ['transfer1'])
+      assert.equal(JSON.parse(yield this.store.get('incoming_transfers:transfer1')), this.condition)
+      assert.deepEqual(JSON.parse(yield this.store.get('payment_requests')), ['abc'])
+      const request = JSON.parse(yield this.store.get('payment_requests:abc'))
+      assert.equal(request.status, 'prepared')
+      assert.equal(request.transferId, 'transfer1')
+    })
 
-      it('rejects if the source and destination amounts differ', function (done) {
-        this.client.sendQuotedPayment({
-          sourceAmount: '1',
-          destinationAmount: '2',
-          destinationAccount: 'example.blue.bob',
-          executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
-          expiresAt: '2016-07-02T00:00:00.000Z',
-          destinationMemo: { foo: 'bar' },
-          uuid: 'abcdef'
-        })
-        .catch(function (err) {
-          assert.equal(err.message, 'sourceAmount and destinationAmount must be equivalent for local transfers')
-          done()
-        })
+    it('only writes the record that changed', function * () {
+      this.client.createPaymentRequest({id: 'abc', amount: '10', executionCondition: this.condition})
+      this.client.createPaymentRequest({id: 'def', amount: '10', executionCondition: this.condition})
+      yield this.client.storeWrites
+      const put = sinon.spy(this.store, 'put')
+      yield this.client.plugin.emitAsync('incoming_prepare', this.incomingTransfer)
+      yield this.client.storeWrites
+      assert.deepEqual(put.args.map((args) => args[0]),
+        ['incoming_transfers:transfer1', 'incoming_transfers', 'payment_requests:abc'])
+    })
+
+    it('deletes records once they are gone', function * () {
+      this.client.createPaymentRequest({id: 'abc', amount: '10', executionCondition: this.condition})
+      yield this.client.plugin.emitAsync('incoming_prepare', this.incomingTransfer)
+      yield this.client.plugin.emitAsync('incoming_fulfill', this.incomingTransfer, this.fulfillment)
+      this.client.removePaymentRequest('abc')
+      yield this.client.storeWrites
+      assert.deepEqual(this.store.data, {payment_requests: '[]'})
+    })
+
+    it('restores the state on connect', function * () {
+      this.client.createPaymentRequest({id: 'abc', amount: '10', executionCondition: this.condition})
+      yield this.client.plugin.emitAsync('incoming_prepare', this.incomingTransfer)
+      yield this.client.sendQuotedPayment({
+        sourceAmount: '1',
+        destinationAmount: '1',
+        destinationAccount: 'example.blue.bob',
+        executionCondition: this.condition,
+        expiresAt: '1970-01-01T00:00:10.000Z',
+        uuid: 'abcdef'
       })
+      yield this.client.storeWrites
+
+      const client = new Client({_plugin: MockPlugin}, {store: this.store})
+      const expired = sinon.spy()
+      client.on('expired', expired)
+      yield client.connect()
+
+      assert.equal(client.getPaymentRequest('abc').status, 'prepared')
+      yield assert.isRejected(client.fulfillCondition('transfer1', 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'),
+        InvalidFulfillmentError, 'Fulfillment does not match the condition of transfer transfer1')
+      client.plugin.emit('incoming_fulfill', this.incomingTransfer, this.fulfillment)
+      assert.equal(client.getPaymentRequest('abc').status, 'fulfilled')
+
+      assert.equal(client.getOutgoingTransfer('abcdef').state, 'prepared')
+      this.clock.tick(10000)
+      assert.calledWithMatch(expired, {id: 'abcdef', state: 'expired'})
+    })
+
+    it('keeps state created before the store was loaded', function * () {
+      yield this.store.put('payment_requests', JSON.stringify(['abc', 'def']))
+      yield this.store.put('payment_requests:abc',
+        JSON.stringify({id: 'abc', amount: '1', executionCondition: this.condition, status: 'fulfilled'}))
+      yield this.store.put('payment_requests:def',
+        JSON.stringify({id: 'def', amount: '1', executionCondition: this.condition, status: 'fulfilled'}))
+      this.client.createPaymentRequest({id: 'abc', amount: '10', executionCondition: this.condition})
+      yield this.client.connect()
+      assert.equal(this.client.getPaymentRequest('abc').amount, '10')
+      assert.equal(this.client.getPaymentRequest('def').amount, '1')
+      yield this.client.storeWrites
+      assert.deepEqual(JSON.parse(yield this.store.get('payment_requests')), ['abc', 'def'])
+    })
+
+    it('fails to connect if the stored state is corrupt', function * () {
+      yield this.store.put('outgoing_transfers', '{')
+      yield assert.isRejected(this.client.connect(), /Stored outgoing_transfers is not valid JSON/)
+      yield this.store.put('outgoing_transfers', '["abcdef"]')
+      yield this.store.put('outgoing_transfers:abcdef', '{')
+      yield assert.isRejected(this.client.connect(), /Stored outgoing_transfers:abcdef is not valid JSON/)
+      yield this.store.del('outgoing_transfers')
+      yield this.client.connect()
+      assert.equal(this.client.getStatus().connectionState, 'connected')
+    })
+
+    it('removes pruned payment requests from the store', function * () {
+      this.client.createPaymentRequest({id: 'abc', amount: '10', executionCondition: this.condition})
+      this.clock.tick(60000 + 600000)
+      this.client.createPaymentRequest({id: 'def', amount: '10', executionCondition: this.condition})
+      yield this.client.storeWrites
+      assert.deepEqual(JSON.parse(yield this.store.get('payment_requests')), ['def'])
+      assert.isUndefined(yield this.store.get('payment_requests:abc'))
+    })
+
+    it('prunes payment requests restored from the store', function * () {
+      yield this.store.put('payment_requests', JSON.stringify(['abc']))
+      yield this.store.put('payment_requests:abc', JSON.stringify(
+        {id: 'abc', amount: '1', executionCondition: this.condition, expiresAt: '1970-01-01T00:00:01.000Z', status: 'pending'}))
+      this.clock.tick(601000)
+      yield this.client.connect()
+      assert.isUndefined(this.client.getPaymentRequest('abc'))
+      yield this.client.storeWrites
+      assert.deepEqual(JSON.parse(yield this.store.get('payment_requests')), [])
+      assert.isUndefined(yield this.store.get('payment_requests:abc'))
+    })
+
+    it('records errors writing to the store', function * () {
+      this.store.put = () => Promise.reject(new Error('disk full'))
+      this.client.createPaymentRequest({id: 'abc', amount: '10', executionCondition: this.condition})
+      yield this.client.storeWrites
+      assert.equal(this.client.getStatus().lastError.message, 'disk full')
     })
   })
 
@@ -569,6 +2559,149 @@ describe('Client', function () {
     })
   })
 
+  describe('sendRequest', function () {
+    beforeEach(function () {
+      this.client = new Client({_plugin: MockPlugin})
+    })
+
+    it('resolves with the matching response message', function * () {
+      this.client.getPlugin().sendMessage = makeSendMessage({
+        ledger: 'example.blue.',
+        from: 'example.blue.mark',
+        to: 'example.blue.bob',
+        data: {method: 'invoice_request', data: {foo: 'bar'}}
+      }, {
+        ledger: 'example.blue.',
+        from: 'example.blue.bob',
+        to: 'example.blue.mark',
+        data: {method: 'invoice_response', data: {baz: 'qux'}}
+      })
+
+      const response = yield this.client.sendRequest('example.blue.bob', 'invoice_request', {foo: 'bar'})
+      assert.deepEqual(response.data.data, {baz: 'qux'})
+      assert.deepEqual(this.client.pendingMessages, {})
+    })
+
+    it('rejects with the message of an error response', function * () {
+      this.client.getPlugin().sendMessage = makeSendMessage({
+        ledger: 'example.blue.',
+        from: 'example.blue.mark',
+        to: 'example.blue.bob',
+        data: {method: 'invoice_request', data: {}}
+      }, {
+        ledger: 'example.blue.',
+        from: 'example.blue.bob',
+        to: 'example.blue.mark',
+        data: {method: 'error', data: {id: 'NotFoundError', message: 'no such invoice'}}
+      })
+
+      const err = yield this.client.sendRequest('example.blue.bob', 'invoice_request', {})
+        .then(() => assert(false), (err) => err)
+      assert.instanceOf(err, ilpCore.errors.RemoteError)
+      assert.equal(err.code, 'REMOTE_ERROR')
+      assert.equal(err.message, 'no such invoice')
+      assert.equal(err.from, 'example.blue.bob')
+      assert.equal(err.remoteName, 'NotFoundError')
+    })
+
+    it('ignores responses with a different method', function * () {
+      const client = new Client({_plugin: MockPlugin}, {messageTimeout: 10})
+      client.getPlugin().sendMessage = makeSendMessage({
+        ledger: 'example.blue.',
+        from: 'example.blue.mark',
+        to: 'example.blue.bob',
+        data: {method: 'invoice_request', data: {}}
+      }, {
+        ledger: 'example.blue.',
+        from: 'example.blue.bob',
+        to: 'example.blue.mark',
+        data: {method: 'quote_response', data: {}}
+      })
+
+      yield assert.isRejected(client.sendRequest('example.blue.bob', 'invoice_request', {}),
+        /Timed out while awaiting response message/)
+      assert.deepEqual(client.pendingMessages, {})
+    })
+  })
+
+  describe('registerRequestHandler', function () {
+    beforeEach(function () {
+      this.client = new Client({_plugin: MockPlugin})
+      this.request = {
+        ledger: 'example.blue.',
+        from: 'example.blue.bob',
+        to: 'example.blue.mark',
+        data: {id: 'abc', method: 'invoice_request', data: {foo: 'bar'}}
+      }
+    })
+
+    it('responds with the value returned by the handler', function * () {
+      const spy = sinon.spy(this.client.getPlugin(), 'sendMessage')
+      const handler = sinon.stub().returns(Promise.resolve({baz: 'qux'}))
+      this.client.registerRequestHandler('invoice_request', handler)
+
+      yield this.client.getPlugin().emitAsync('incoming_message', this.request)
+
+      assert.calledWith(handler, {foo: 'bar'}, this.request)
+      assert.calledWith(spy, {
+        ledger: 'example.blue.',
+        from: 'example.blue.mark',
+        to: 'example.blue.bob',
+        data: {id: 'abc', method: 'invoice_response', data: {baz: 'qux'}}
+      })
+    })
+
+    it('responds with an error message if the handler throws', function * () {
+      const spy = sinon.spy(this.client.getPlugin(), 'sendMessage')
+      this.client.registerRequestHandler('invoice_request', () => {
+        const err = new Error('no such invoice')
+        err.name = 'NotFoundError'
+        throw err
+      })
+
+      yield this.client.getPlugin().emitAsync('incoming_message', this.request)
+
+      assert.calledWith(spy, {
+        ledger: 'example.blue.',
+        from: 'example.blue.mark',
+        to: 'example.blue.bob',
+        data: {id: 'abc', method: 'error', data: {id: 'NotFoundError', message: 'no such invoice'}}
+      })
+    })
+
+    it('does not respond once the handler is unregistered', function * () {
+      const spy = sinon.spy(this.client.getPlugin(), 'sendMessage')
+      this.client.registerRequestHandler('invoice_request', () => ({}))
+      this.client.unregisterRequestHandler('invoice_request')
+
+      yield this.client.getPlugin().emitAsync('incoming_message', this.request)
+
+      assert.notCalled(spy)
+    })
+
+    it('ignores methods that are Object.prototype members', function * () {
+      const spy = sinon.spy(this.client.getPlugin(), 'sendMessage')
+      for (const method of ['constructor', 'toString', '__proto__']) {
+        yield this.client.getPlugin().emitAsync('incoming_message',
+          Object.assign({}, this.request, {data: {id: 'hasOwnProperty', method, data: {}}}))
+      }
+      assert.notCalled(spy)
+    })
+
+    it('throws if the handler is not a function', function () {
+      assert.throws(() => {
+        this.client.registerRequestHandler('invoice_request', 'foo')
+      }, 'handler must be a function')
+    })
+
+    it('throws if a handler is already registered for the method', function () {
+      this.client.registerRequestHandler('invoice_request', () => ({}))
+      assert.throws(() => {
+        this.client.registerRequestHandler('invoice_request', () => ({}))
+      }, 'A handler is already registered for method: invoice_request')
+    })
+  })
+
   describe('_sendAndReceiveMessage', function () {
     it('rejects on timeout', function (done) {
       const client = new Client({_plugin: MockPlugin}, {messageTimeout: 10})
@@ -581,7 +2714,10 @@ describe('Client', function () {
       }).then((response) => {
         assert(false)
       }).catch((err) => {
+        assert.instanceOf(err, ilpCore.errors.MessageTimeoutError)
+        assert.equal(err.code, 'MESSAGE_TIMEOUT')
         assert.equal(err.message, 'Timed out while awaiting response message')
+        assert.equal(err.to, 'example.blue.mark')
         assert(Date.now() - start >= 10)
         done()
       }).catch(done)
@@ -669,6 +2805,47 @@ describe('Client', function () {
         })
     })
 
+    it('normalizes reject and cancel reasons into ILP errors', function * () {
+      const spy = sinon.spy()
+      this.client.onAny(spy)
+      const transfer = {id: 'abcdef', ledger: 'example.blue.'}
+      this.client.plugin.emit('outgoing_reject', transfer, {
+        code: 'F02',
+        name: 'Unreachable',
+        message: 'no route',
+        triggered_by: 'example.red.connie',
+        triggered_at: '1970-01-01T00:00:01.000Z',
+        additional_info: {foo: 'bar'}
+      })
+      this.client.plugin.emit('incoming_cancel', transfer, 'expired')
+      this.client.plugin.emit('incoming_reject', transfer)
+
+      assert.calledWith(spy, 'outgoing_reject', transfer, {
+        code: 'F02',
+        name: 'Unreachable',
+        category: 'final',
+        triggeredBy: 'example.red.connie',
+        triggeredAt: '1970-01-01T00:00:01.000Z',
+        message: 'no route',
+        data: {foo: 'bar'}
+      })
+      assert.calledWith(spy, 'incoming_cancel', transfer, {
+        code: 'R00',
+        name: 'Transfer Timed Out',
+        category: 'relative',
+        triggeredBy: 'example.blue.',
+        message: 'expired',
+        data: {}
+      })
+      assert.calledWith(spy, 'incoming_reject', transfer, {
+        code: 'F99',
+        name: 'Application Error',
+        category: 'final',
+        message: '',
+        data: {}
+      })
+    })
+
     it('should emit `incoming_message` from plugin', function (done) {
       const incoming = new Promise((resolve) =>
         this.client.on('incoming_message', resolve))
@@ -678,6 +2855,74 @@ describe('Client', function () {
         done()
       }).catch(done)
     })
+
+    describe('incoming_payment', function () {
+      beforeEach(function () {
+        this.transfer = {
+          id: 'abcdef',
+          amount: '10',
+          ilp: packet.serializeIlpPayment({
+            account: 'example.blue.bob',
+            amount: '9',
+            data: Client._stringifyPacketData({ foo: 'bar' })
+          }).toString('base64')
+        }
+      })
+
+      for (let event of ['incoming_prepare', 'incoming_transfer']) {
+        it('should emit the decoded ILP payment on `' + event + '`', function * () {
+          const spy = sinon.spy()
+          this.client.on('incoming_payment', spy)
+          yield this.client.plugin.emitAsync(event, this.transfer)
+          sinon.assert.calledOnce(spy)
+          sinon.assert.calledWithExactly(spy, this.transfer, {
+            destinationAccount: 'example.blue.bob',
+            destinationAmount: '9',
+            destinationMemo: { foo: 'bar' },
+            memoCodec: 'json'
+          })
+        })
+      }
+
+      it('should decode memos with registered codecs', function * () {
+        const spy = sinon.spy()
+        this.client.on('incoming_payment', spy)
+        this.client.registerMemoCodec('reverse', {
+          encode: (memo) => Buffer.from(memo.split('').reverse().join('')),
+          decode: (buffer) => buffer.toString().split('').reverse().join('')
+        })
+        this.transfer.ilp = packet.serializeIlpPayment({
+          account: 'example.blue.bob',
+          amount: '9',
+          data: this.client.memoCodecs.encode('hello', 'reverse')
+        }).toString('base64')
+        yield this.client.plugin.emitAsync('incoming_prepare', this.transfer)
+        sinon.assert.calledWithMatch(spy, this.transfer, {destinationMemo: 'hello', memoCodec: 'reverse'})
+      })
+
+      it('should emit `incoming_payment_error` if the packet is malformed', function * () {
+        const payment = sinon.spy()
+        const error = sinon.spy()
+        this.client.on('incoming_payment', payment)
+        this.client.on('incoming_payment_error', error)
+        this.transfer.ilp = 'zzzz'
+        yield this.client.plugin.emitAsync('incoming_prepare', this.transfer)
+        sinon.assert.notCalled(payment)
+        sinon.assert.calledWithMatch(error, this.transfer, {
+          name: 'InvalidPacketError',
+          message: 'Invalid ILP payment packet: Packet has incorrect type'
+        })
+      })
+
+      it('should ignore transfers without an ILP packet', function * () {
+        const spy = sinon.spy()
+        this.client.on('incoming_payment', spy)
+        this.client.on('incoming_payment_error', spy)
+        delete this.transfer.ilp
+        yield this.client.plugin.emitAsync('incoming_prepare', this.transfer)
+        sinon.assert.notCalled(spy)
+      })
+    })
   })
 })
 
@@ -0,0 +1,61 @@
+'use strict'
+
+const assert = require('chai').assert
+
+const condition = require('..').condition
+const errors = require('..').errors
+
+const FULFILLMENT = 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok'
+const CONDITION = 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
+
+describe('condition', function () {
+  describe('fulfillmentToCondition', function () {
+    it('hashes the preimage', function () {
+      assert.equal(condition.fulfillmentToCondition(FULFILLMENT), CONDITION)
+    })
+
+    it('throws on a malformed fulfillment', function () {
+      assert.throws(() => condition.fulfillmentToCondition('abc'),
+        errors.InvalidFulfillmentError,
+        'fulfillment must be a base64url-encoded 32-byte preimage: abc')
+    })
+  })
+
+  describe('generateConditionPair', function () {
+    it('returns a random fulfillment and its condition', function () {
+      const pair = condition.generateConditionPair()
+      assert.lengthOf(pair.fulfillment, 43)
+      assert.equal(pair.condition, condition.fulfillmentToCondition(pair.fulfillment))
+      assert.notEqual(condition.generateConditionPair().fulfillment, pair.fulfillment)
+    })
+  })
+
+  describe('verifyFulfillment', function () {
+    it('accepts a matching fulfillment', function () {
+      assert.isTrue(condition.verifyFulfillment(FULFILLMENT, CONDITION))
+      assert.isTrue(condition.verifyFulfillment(FULFILLMENT, CONDITION + '='))
+    })
+
+    it('rejects a fulfillment for another condition', function () {
+      assert.isFalse(condition.verifyFulfillment(condition.generateConditionPair().fulfillment, CONDITION))
+    })
+
+    it('rejects malformed fulfillments', function () {
+      assert.isFalse(condition.verifyFulfillment('not a fulfillment', CONDITION))
+      assert.isFalse(condition.verifyFulfillment(undefined, CONDITION))
+    })
+  })
+
+  describe('validateCondition', function () {
+    it('accepts a 32-byte hash', function () {
+      condition.validateCondition(CONDITION)
+    })
+
+    it('throws on anything else', function () {
+      assert.throws(() => condition.validateCondition('cc:0:3:abc'),
+        errors.InvalidConditionError,
+        'executionCondition must be a base64url-encoded 32-byte hash: cc:0:3:abc')
+      assert.throws(() => condition.validateCondition(FULFILLMENT + 'AA'), errors.InvalidConditionError)
+    })
+  })
+})
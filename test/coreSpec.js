@@ -12,7 +12,11 @@ const MockPlugin = require('./mocks/mock-plugin')
 const MockClient = require('./mocks/mock-client')
 
 const RoutingTables = require('ilp-routing').RoutingTables
+const Client = require('../src/lib/client')
 const Core = require('../src/lib/core')
+const QuoteCache = require('../src/lib/quoteCache')
+const errors = require('../src/lib/errors')
+const MemoryStore = require('../src/lib/store').MemoryStore
 
 describe('Core', function () {
   beforeEach(function () {
@@ -32,6 +36,17 @@ describe('Core', function () {
       assert.deepEqual(core.clientList, [])
       assert.deepEqual(core.clients, {})
     })
+
+    it('defaults quoteValidity to the Client\'s default', function () {
+      const client = new Client({_plugin: MockPlugin})
+      assert.equal((new Core()).quoteValidity, client.quoteValidity)
+      assert.equal((new Core()).quoteValidity, QuoteCache.DEFAULT_QUOTE_VALIDITY)
+    })
+
+    it('should fail if "quoteValidity" is passed but is not a number', function () {
+      assert.throws(() => new Core({quoteValidity: '1000'}), TypeError,
+        '"options.quoteValidity" must be a Number or undefined')
+    })
   })
 
   describe('getClient', function () {
@@ -57,10 +72,27 @@ describe('Core', function () {
       assert.strictEqual(this.core.getClient('ledger3.'), null)
     })
 
-    it('throws if the ledger doesn\'t end with "."', function () {
-      assert.throws(() => {
-        this.core.getClient('ledger1')
-      }, 'prefix must end with "."')
+    it('returns the Client for an address under its prefix', function () {
+      const client1 = new MockClient({prefix: 'ledger1.'})
+      this.core.addClient('ledger1.', client1)
+      assert.equal(this.core.getClient('ledger1.alice'), client1)
+      assert.equal(this.core.getClient('ledger1.alice.request123'), client1)
+    })
+
+    it('returns the Client with the longest matching prefix', function () {
+      const client1 = new MockClient({prefix: 'g.us.'})
+      const client2 = new MockClient({prefix: 'g.us.wf.'})
+      this.core.addClient('g.us.', client1)
+      this.core.addClient('g.us.wf.', client2)
+      assert.equal(this.core.getClient('g.us.wf.alice'), client2)
+      assert.equal(this.core.getClient('g.us.wf.'), client2)
+      assert.equal(this.core.getClient('g.us.boa.bob'), client1)
+      assert.equal(this.core.getClient('g.us.wfx.carl'), client1)
+    })
+
+    it('returns null for a partial segment match', function () {
+      this.core.addClient('ledger1.', new MockClient({prefix: 'ledger1.'}))
+      assert.strictEqual(this.core.getClient('ledger1'), null)
     })
 
     it('returns null if no local Client matches', function () {
@@ -78,10 +110,10 @@ describe('Core', function () {
       assert.equal(this.core.getPlugin('ledger2.'), client2.plugin)
     })
 
-    it('throws if the ledger doesn\'t end with "."', function () {
-      assert.throws(() => {
-        this.core.getPlugin('ledger1')
-      }, 'prefix must end with "."')
+    it('returns the plugin for an address under its prefix', function () {
+      const client1 = new MockClient({prefix: 'ledger1.'})
+      this.core.addClient('ledger1.', client1)
+      assert.equal(this.core.getPlugin('ledger1.alice'), client1.plugin)
     })
 
     it('returns null if there is no match', function () {
@@ -117,12 +149,39 @@ describe('Core', function () {
       client1.emit('foobar', 1, 2, 3)
     })
 
+    it('does not relay events of a client it failed to add', function () {
+      const client1 = new MockClient({prefix: 'ledger1.'})
+      client1.registerRequestHandler = () => { throw new Error('A handler is already registered for method: quote_request') }
+      assert.throws(() => this.core.addClient('ledger1.', client1), /already registered/)
+      assert.deepEqual(client1.listenersAny(), [])
+      assert.deepEqual(this.core.getClients(), [])
+    })
+
     it('throws if the prefix is not a ledger', function () {
       const client1 = new MockClient({prefix: 'ledger1.'})
       assert.throws(() => {
         this.core.addClient('ledger1', client1)
       }, 'prefix must end with "."')
     })
+
+    it('gives clients without a store a prefixed view of the core\'s store', function * () {
+      const store = new MemoryStore()
+      const core = new Core({routingTables: this.tables, store})
+      const client1 = new MockClient({prefix: 'ledger1.'})
+      const client2 = new MockClient({prefix: 'ledger2.'})
+      const ownStore = new MemoryStore()
+      client2.setStore(ownStore)
+      core.addClient('ledger1.', client1)
+      core.addClient('ledger2.', client2)
+
+      yield client1.store.put('foo', 'bar')
+      assert.equal(yield store.get('ledger1.foo'), 'bar')
+      assert.equal(client2.store, ownStore)
+    })
+
+    it('validates the store', function () {
+      assert.throws(() => new Core({store: {}}), TypeError, '"options.store" is missing methods: get, put, del')
+    })
   })
 
   describe('removeClient', function () {
@@ -141,6 +200,72 @@ describe('Core', function () {
       assert.deepEqual(this.core.clients, {'ledger1.': client1})
       assert.deepEqual(this.core.clientList, [client1])
     })
+
+    it('only removes an exact prefix match', function () {
+      const client1 = new MockClient({prefix: 'ledger1.'})
+      this.core.addClient('ledger1.', client1)
+      assert.equal(this.core.removeClient('ledger1.alice.'), undefined)
+      assert.deepEqual(this.core.clientList, [client1])
+    })
+  })
+
+  describe('getStatus', function () {
+    it('aggregates the clients\' status and the routing table size', function () {
+      this.core.addClient('ledger1.', new MockClient({prefix: 'ledger1.'}))
+      this.core.addClient('ledger2.', new MockClient({prefix: 'ledger2.'}))
+      this.core.getClient('ledger2.').getStatus = () => ({prefix: 'ledger2.', connectionState: 'reconnecting'})
+      this.core.tables.addLocalRoutes([{
+        source_ledger: 'ledger1.',
+        destination_ledger: 'ledger2.',
+        source_account: 'ledger1.mark',
+        points: [ [0, 0], [100, 50] ]
+      }])
+      assert.deepEqual(this.core.getStatus(), {
+        clients: {
+          'ledger1.': {prefix: 'ledger1.', connectionState: 'connected'},
+          'ledger2.': {prefix: 'ledger2.', connectionState: 'reconnecting'}
+        },
+        connectedClients: 1,
+        totalClients: 2,
+        routingTables: {sources: 1, routes: 1}
+      })
+    })
+
+    it('reports clients whose plugin isn\'t connected yet', function () {
+      const client = new Client({_plugin: MockPlugin})
+      client.getPlugin().getInfo = () => { throw new Error('Must be connected before getInfo can be called') }
+      this.core.addClient('ledger1.', client)
+      const status = this.core.getStatus()
+      assert.isUndefined(status.clients['ledger1.'].prefix)
+      assert.equal(status.clients['ledger1.'].infoError.message, 'Must be connected before getInfo can be called')
+      assert.equal(status.connectedClients, 0)
+    })
+  })
+
+  describe('getBalances', function () {
+    it('returns each client\'s balance by prefix', function * () {
+      const client1 = new MockClient({prefix: 'ledger1.'})
+      const client2 = new MockClient({prefix: 'ledger2.'})
+      this.core.addClient('ledger1.', client1)
+      this.core.addClient('ledger2.', client2)
+      const error = new Error('ledger is down')
+      client2.getBalance = () => Promise.reject(error)
+
+      assert.deepEqual(yield this.core.getBalances(), {
+        'ledger1.': {prefix: 'ledger1.', balance: '0.00', baseBalance: '0', scale: 2},
+        'ledger2.': {prefix: 'ledger2.', error}
+      })
+    })
+
+    it('relays balance events', function () {
+      const client1 = new MockClient({prefix: 'ledger1.'})
+      this.core.addClient('ledger1.', client1)
+      const spy = sinon.spy()
+      this.core.on('balance_low', spy)
+      const balance = {prefix: 'ledger1.', balance: '1.00', baseBalance: '100', scale: 2}
+      client1.emit('balance_low', balance)
+      assert.calledWith(spy, client1, balance)
+    })
   })
 
   describe('connect', function () {
@@ -158,6 +283,40 @@ describe('Core', function () {
       assert.calledWith(spy1.firstCall, {timeout: 123})
       assert.calledWith(spy2.firstCall, {timeout: 123})
     })
+
+    it('rejects if any client fails to connect', function * () {
+      const client1 = new MockClient({prefix: 'ledger1.'})
+      this.core.addClient('ledger1.', client1)
+      client1.connect = () => Promise.reject(new Error('down'))
+      yield assert.isRejected(this.core.connect(), /down/)
+    })
+
+    describe('with allowPartial', function () {
+      beforeEach(function () {
+        this.client1 = new MockClient({prefix: 'ledger1.'})
+        this.client2 = new MockClient({prefix: 'ledger2.'})
+        this.core.addClient('ledger1.', this.client1)
+        this.core.addClient('ledger2.', this.client2)
+        this.error = new Error('down')
+        this.client2.connect = sinon.stub().returns(Promise.reject(this.error))
+      })
+
+      it('resolves with the connected and failed clients', function * () {
+        const spy1 = sinon.spy(this.client1, 'connect')
+        const result = yield this.core.connect({allowPartial: true, timeout: 123})
+        assert.deepEqual(result, {
+          connected: [this.client1],
+          failed: [{client: this.client2, error: this.error}]
+        })
+        assert.calledWith(spy1, {timeout: 123})
+      })
+
+      it('rejects if every client fails', function * () {
+        this.client1.connect = () => Promise.reject(new Error('broken'))
+        yield assert.isRejected(this.core.connect({allowPartial: true}),
+          /All clients failed to connect: broken, down/)
+      })
+    })
   })
 
   describe('disconnect', function () {
@@ -175,8 +334,136 @@ describe('Core', function () {
     })
   })
 
+  describe('sendPayment', function () {
+    it('sends the payment through the sender\'s client', function * () {
+      const client1 = new MockClient({prefix: 'ledger1.'})
+      const client2 = new MockClient({prefix: 'ledger2.'})
+      this.core.addClient('ledger1.', client1)
+      this.core.addClient('ledger2.', client2)
+      client2.sendPayment = sinon.stub().returns(Promise.resolve('fulfillment'))
+
+      const params = {sourceAddress: 'ledger2.alice', destinationAccount: 'ledger3.bob', sourceAmount: '1'}
+      assert.equal(yield this.core.sendPayment(params), 'fulfillment')
+      assert.calledOnce(client2.sendPayment)
+      assert.calledWith(client2.sendPayment, params)
+    })
+
+    it('rejects if there is no sourceAddress', function * () {
+      const err = yield this.core.sendPayment({}).then(() => assert(false), (err) => err)
+      assert.instanceOf(err, errors.InvalidArgumentError)
+      assert.equal(err.code, 'INVALID_ARGUMENT')
+      assert.equal(err.message, 'sourceAddress must be provided')
+      assert.equal(err.field, 'sourceAddress')
+    })
+
+    it('rejects if no client matches the sourceAddress', function * () {
+      const err = yield this.core.sendPayment({sourceAddress: 'ledger3.alice'}).then(() => assert(false), (err) => err)
+      assert.instanceOf(err, errors.InvalidArgumentError)
+      assert.equal(err.code, 'INVALID_ARGUMENT')
+      assert.equal(err.message, 'No client found for sourceAddress ledger3.alice')
+    })
+  })
+
+  describe('incoming quote requests', function () {
+    afterEach(function () {
+      this.clock.restore()
+    })
+
+    beforeEach(function () {
+      this.clock = sinon.useFakeTimers(0)
+      this.client1 = new MockClient({prefix: 'group1.ledger1.'})
+      this.core.addClient('group1.ledger1.', this.client1)
+      this.core.addClient('group1.ledger2.', new MockClient({prefix: 'group1.ledger2.'}))
+      this.core.tables.addLocalRoutes([{
+        source_ledger: 'group1.ledger1.',
+        destination_ledger: 'group1.ledger2.',
+        source_account: 'group1.ledger1.mark',
+        min_message_window: 3,
+        points: [ [0, 0], [100, 50] ]
+      }])
+      this.message = {
+        ledger: 'group1.ledger1.',
+        from: 'group1.ledger1.alice',
+        to: 'group1.ledger1.mark'
+      }
+    })
+
+    it('registers a quote_request handler on each client', function () {
+      assert.isFunction(this.client1.requestHandlers.quote_request)
+      this.core.removeClient('group1.ledger1.')
+      assert.isUndefined(this.client1.requestHandlers.quote_request)
+    })
+
+    it('answers with quote_response data', function * () {
+      const response = yield this.client1.requestHandlers.quote_request({
+        source_address: 'group1.ledger1.alice',
+        destination_address: 'group1.ledger2.bob',
+        source_amount: '100',
+        source_expiry_duration: '3.5'
+      }, this.message)
+      assert.deepEqual(response, {
+        source_connector_account: 'group1.ledger1.mark',
+        source_ledger: 'group1.ledger1.',
+        destination_ledger: 'group1.ledger2.',
+        source_amount: '100',
+        destination_amount: '50',
+        source_expiry_duration: '3.5',
+        destination_expiry_duration: '0.5',
+        liquidity_curve: [ [0, 0], [100, 50] ],
+        expires_at: '1970-01-01T00:00:30.000Z'
+      })
+    })
+
+    it('uses the sender as the source address by default', function * () {
+      const response = yield this.client1.requestHandlers.quote_request({
+        destination_address: 'group1.ledger2.bob',
+        destination_amount: '50'
+      }, this.message)
+      assert.equal(response.source_amount, '100')
+    })
+
+    it('throws a NoRouteFoundError when there is no route', function * () {
+      const err = yield this.client1.requestHandlers.quote_request({
+        source_address: 'group1.ledger1.alice',
+        destination_address: 'group3.bob',
+        source_amount: '100'
+      }, this.message).then(() => assert(false), (err) => err)
+      assert.instanceOf(err, errors.NoRouteFoundError)
+      assert.equal(err.name, 'NoRouteFoundError')
+      assert.equal(err.code, 'NO_ROUTE')
+      assert.equal(err.message, 'No route found from: group1.ledger1.alice to: group3.bob')
+      assert.equal(err.destinationAddress, 'group3.bob')
+    })
+
+    it('throws the next hop\'s error when there is a route but the next hop fails', function * () {
+      this.core.tables.addRoute({
+        source_ledger: 'group1.ledger2.',
+        destination_ledger: 'group2.',
+        source_account: 'group1.ledger2.mary',
+        min_message_window: 4,
+        points: [ [0, 0], [100, 50] ]
+      })
+      const error = new errors.QuoteTimeoutError('Timed out while awaiting response message',
+        {connector: 'group1.ledger2.mary'})
+      this.core.getClient('group1.ledger2.')._getQuote = () => Promise.reject(error)
+
+      const err = yield this.client1.requestHandlers.quote_request({
+        source_address: 'group1.ledger1.alice',
+        destination_address: 'group2.ledger2.bob',
+        destination_amount: '10'
+      }, this.message).then(() => assert(false), (err) => err)
+      assert.equal(err, error)
+      assert.equal(err.code, 'QUOTE_TIMEOUT')
+    })
+  })
+
   describe('quote', function () {
+    afterEach(function () {
+      this.clock.restore()
+    })
+
     beforeEach(function () {
+      this.clock = sinon.useFakeTimers(0)
       this.core.addClient('group1.ledger1.', new MockClient({prefix: 'group1.ledger1.'}))
       this.core.addClient('group1.ledger2.', new MockClient({prefix: 'group1.ledger2.'}))
       this.core.addClient('group1.ledger3.', new MockClient({prefix: 'group1.ledger3.'}))
@@ -231,7 +518,9 @@ describe('Core', function () {
         minMessageWindow: 3,
         sourceExpiryDuration: 3.5,
         destinationExpiryDuration: 0.5,
-        liquidityCurve: [ [0, 0], [100, 50] ]
+        liquidityCurve: [ [0, 0], [100, 50] ],
+        quotedAt: '1970-01-01T00:00:00.000Z',
+        quoteExpiresAt: '1970-01-01T00:00:30.000Z'
       })
     })
 
@@ -252,7 +541,9 @@ describe('Core', function () {
         minMessageWindow: 3,
         sourceExpiryDuration: 3.5,
         destinationExpiryDuration: 0.5,
-        liquidityCurve: [ [0, 0], [100, 50] ]
+        liquidityCurve: [ [0, 0], [100, 50] ],
+        quotedAt: '1970-01-01T00:00:00.000Z',
+        quoteExpiresAt: '1970-01-01T00:00:30.000Z'
       })
     })
 
@@ -273,7 +564,9 @@ describe('Core', function () {
         minMessageWindow: 6,
         sourceExpiryDuration: 6.5,
         destinationExpiryDuration: 0.5,
-        liquidityCurve: [ [0, 0], [100, 25] ]
+        liquidityCurve: [ [0, 0], [100, 25] ],
+        quotedAt: '1970-01-01T00:00:00.000Z',
+        quoteExpiresAt: '1970-01-01T00:00:30.000Z'
       })
     })
 
@@ -294,7 +587,9 @@ describe('Core', function () {
         minMessageWindow: 3,
         sourceExpiryDuration: 3.5,
         destinationExpiryDuration: 0.5,
-        liquidityCurve: [ [0, 0], [100, 50] ]
+        liquidityCurve: [ [0, 0], [100, 50] ],
+        quotedAt: '1970-01-01T00:00:00.000Z',
+        quoteExpiresAt: '1970-01-01T00:00:30.000Z'
       })
     })
 
@@ -315,7 +610,9 @@ describe('Core', function () {
         minMessageWindow: 6,
         sourceExpiryDuration: 6.5,
         destinationExpiryDuration: 0.5,
-        liquidityCurve: [ [0, 0], [100, 25] ]
+        liquidityCurve: [ [0, 0], [100, 25] ],
+        quotedAt: '1970-01-01T00:00:00.000Z',
+        quoteExpiresAt: '1970-01-01T00:00:30.000Z'
       })
     })
 
@@ -355,7 +652,9 @@ describe('Core', function () {
         minMessageWindow: 4.5,
         sourceExpiryDuration: 8.75,
         destinationExpiryDuration: 4.25,
-        liquidityCurve: [ [0, 0], [100, 10] ]
+        liquidityCurve: [ [0, 0], [100, 10] ],
+        quotedAt: '1970-01-01T00:00:00.000Z',
+        quoteExpiresAt: '1970-01-01T00:00:30.000Z'
       })
     })
 
@@ -395,10 +694,66 @@ describe('Core', function () {
         minMessageWindow: 3.25,
         sourceExpiryDuration: 3.75,
         destinationExpiryDuration: 0.5,
-        liquidityCurve: [ [0, 0], [100, 10] ]
+        liquidityCurve: [ [0, 0], [100, 10] ],
+        quotedAt: '1970-01-01T00:00:00.000Z',
+        quoteExpiresAt: '1970-01-01T00:00:30.000Z'
+      })
+    })
+
+    it('expires the quote when the remote quote expires, if that is sooner', function * () {
+      this.core.getClient('group1.ledger2.')._getQuote = function (connector, quoteQuery) {
+        return Promise.resolve({
+          destination_ledger: 'group2.ledger2.',
+          source_amount: '50.00',
+          destination_amount: '10.00',
+          source_expiry_duration: '0.75',
+          destination_expiry_duration: '0.5',
+          expires_at: '1970-01-01T00:00:10.000Z'
+        })
+      }
+
+      const quote = yield this.core.quote({
+        sourceAddress: 'group1.ledger1.alice',
+        destinationAddress: 'group2.ledger2.bob',
+        destinationAmount: '10.00',
+        destinationExpiryDuration: 0.5
+      })
+      assert.equal(quote.quotedAt, '1970-01-01T00:00:00.000Z')
+      assert.equal(quote.quoteExpiresAt, '1970-01-01T00:00:10.000Z')
+    })
+
+    describe('if the remote quote fails', function () {
+      beforeEach(function () {
+        this.error = new errors.QuoteTimeoutError('Timed out while awaiting response message',
+          {connector: 'group1.ledger2.mary'})
+        this.core.getClient('group1.ledger2.')._getQuote = () => Promise.reject(this.error)
+        this.query = {
+          sourceAddress: 'group1.ledger1.alice',
+          destinationAddress: 'group2.ledger2.bob',
+          destinationAmount: '10.00'
+        }
+      })
+
+      it('returns null', function * () {
+        assert.isNull(yield this.core.quote(this.query))
+      })
+
+      it('rejects with the error if reportFailures is set', function * () {
+        const err = yield this.core.quote(Object.assign({reportFailures: true}, this.query))
+          .then(() => assert(false), (err) => err)
+        assert.equal(err, this.error)
       })
     })
 
+    it('rejects with a NoRouteFoundError if reportFailures is set and there is no route', function * () {
+      yield assert.isRejected(this.core.quote({
+        sourceAddress: 'group1.ledger1.alice',
+        destinationAddress: 'group3.bob',
+        sourceAmount: '100',
+        reportFailures: true
+      }), errors.NoRouteFoundError, 'No route found from: group1.ledger1.alice to: group3.bob')
+    })
+
     // note: the functionality this tests has been disabled, to allow
     // for a less chatty broadcast system, but it may be re-enabled more
     // or less as-is, depending on further improvements
@@ -451,7 +806,9 @@ describe('Core', function () {
         minMessageWindow: 7,
         sourceExpiryDuration: 7.5,
         destinationExpiryDuration: 0.5,
-        liquidityCurve: [ [0, 0], [100, 25] ]
+        liquidityCurve: [ [0, 0], [100, 25] ],
+        quotedAt: '1970-01-01T00:00:00.000Z',
+        quoteExpiresAt: '1970-01-01T00:00:30.000Z'
       })
     })
   })
@@ -0,0 +1,103 @@
+'use strict'
+
+const sinon = require('sinon')
+const assert = require('chai').assert
+
+const ilpError = require('../src/lib/ilpError')
+
+describe('ilpError', function () {
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers(0)
+  })
+
+  afterEach(function () {
+    this.clock.restore()
+  })
+
+  describe('isErrorCode', function () {
+    it('accepts F, T and R codes', function () {
+      for (const code of ['F00', 'T04', 'R99']) assert.isTrue(ilpError.isErrorCode(code))
+      for (const code of ['X00', 'F1', 'f02', 2, undefined]) assert.isFalse(ilpError.isErrorCode(code))
+    })
+  })
+
+  describe('getName', function () {
+    it('returns the standard name, or the class\'s application error', function () {
+      assert.equal(ilpError.getName('T01'), 'Ledger Unreachable')
+      assert.equal(ilpError.getName('F42'), 'Application Error')
+    })
+  })
+
+  describe('create', function () {
+    it('fills in the name, category and timestamp', function () {
+      assert.deepEqual(ilpError.create({code: 'R01', triggeredBy: 'example.blue.mark'}), {
+        code: 'R01',
+        name: 'Insufficient Source Amount',
+        category: 'relative',
+        triggeredBy: 'example.blue.mark',
+        triggeredAt: '1970-01-01T00:00:00.000Z',
+        message: '',
+        data: {}
+      })
+    })
+
+    it('rejects invalid codes', function () {
+      assert.throws(() => ilpError.create({code: 'E00'}), TypeError,
+        'ILP error code must be F, T or R followed by two digits: E00')
+    })
+  })
+
+  describe('normalize', function () {
+    it('converts ledger reasons', function () {
+      assert.deepEqual(ilpError.normalize({
+        code: 'T02',
+        name: 'Ledger Busy',
+        message: 'try later',
+        triggered_by: 'example.blue.',
+        triggered_at: '1970-01-01T00:00:01.000Z',
+        additional_info: {retryAfter: 5}
+      }, {code: 'F99'}), {
+        code: 'T02',
+        name: 'Ledger Busy',
+        category: 'temporary',
+        triggeredBy: 'example.blue.',
+        triggeredAt: '1970-01-01T00:00:01.000Z',
+        message: 'try later',
+        data: {retryAfter: 5}
+      })
+    })
+
+    it('uses the defaults for reasons without a valid code', function () {
+      assert.deepEqual(ilpError.normalize('expired', {code: 'R00', triggeredBy: 'example.blue.'}), {
+        code: 'R00',
+        name: 'Transfer Timed Out',
+        category: 'relative',
+        triggeredBy: 'example.blue.',
+        message: 'expired',
+        data: {}
+      })
+      const normalized = ilpError.normalize({code: 'bogus', name: 'Bogus', message: 'huh'}, {code: 'F99'})
+      assert.equal(normalized.code, 'F99')
+      assert.equal(normalized.name, 'Application Error')
+      assert.equal(ilpError.normalize(undefined, {code: 'F99'}).message, '')
+    })
+
+    it('accepts ILP errors that are already normalized', function () {
+      const error = ilpError.create({code: 'F02', message: 'no route', data: {}})
+      assert.deepEqual(ilpError.normalize(error, {code: 'F99'}), error)
+    })
+  })
+
+  describe('toLedgerReason', function () {
+    it('converts back to the form plugins expect', function () {
+      assert.deepEqual(ilpError.toLedgerReason(ilpError.create({code: 'F05', triggeredBy: 'example.blue.mark'})), {
+        code: 'F05',
+        name: 'Wrong Condition',
+        message: '',
+        triggered_by: 'example.blue.mark',
+        triggered_at: '1970-01-01T00:00:00.000Z',
+        additional_info: {}
+      })
+    })
+  })
+})
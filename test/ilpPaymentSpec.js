@@ -0,0 +1,62 @@
+'use strict'
+
+const assert = require('chai').assert
+
+const packet = require('ilp-packet')
+const ilpPayment = require('../src/lib/ilpPayment')
+const MemoCodecs = require('../src/lib/memoCodecs')
+const InvalidPacketError = require('..').errors.InvalidPacketError
+
+const makePacket = (data) => packet.serializeIlpPayment({
+  account: 'example.blue.bob',
+  amount: '10',
+  data
+}).toString('base64')
+
+describe('ilpPayment', function () {
+  describe('parsePayment', function () {
+    it('decodes the destination and memo', function () {
+      assert.deepEqual(ilpPayment.parsePayment(makePacket('eyJmb28iOiJiYXIifQ')), {
+        destinationAccount: 'example.blue.bob',
+        destinationAmount: '10',
+        destinationMemo: {foo: 'bar'},
+        memoCodec: 'json'
+      })
+    })
+
+    it('decodes the memo with the given codecs', function () {
+      const codecs = new MemoCodecs()
+      codecs.register('upper', {
+        encode: (memo) => Buffer.from(memo.toUpperCase()),
+        decode: (buffer) => buffer.toString().toLowerCase()
+      })
+      const payment = ilpPayment.parsePayment(makePacket(codecs.encode('Hello', 'upper')), codecs)
+      assert.equal(payment.destinationMemo, 'hello')
+      assert.equal(payment.memoCodec, 'upper')
+    })
+
+    it('leaves the memo undefined if the packet has no data', function () {
+      assert.isUndefined(ilpPayment.parsePayment(makePacket('')).destinationMemo)
+    })
+
+    it('throws on a missing packet', function () {
+      assert.throws(() => ilpPayment.parsePayment(undefined),
+        InvalidPacketError, 'ILP payment packet must be a non-empty string')
+    })
+
+    it('throws on a packet of the wrong type', function () {
+      assert.throws(() => ilpPayment.parsePayment('zzzz'),
+        InvalidPacketError, 'Invalid ILP payment packet: Packet has incorrect type')
+    })
+
+    it('throws on a truncated packet', function () {
+      assert.throws(() => ilpPayment.parsePayment(makePacket('').slice(0, 8)),
+        InvalidPacketError, /Invalid ILP payment packet/)
+    })
+
+    it('throws if the memo is not JSON', function () {
+      assert.throws(() => ilpPayment.parsePayment(makePacket('_w')),
+        InvalidPacketError, /Could not decode json memo/)
+    })
+  })
+})
@@ -0,0 +1,71 @@
+'use strict'
+
+const assert = require('chai').assert
+
+const MemoCodecs = require('../src/lib/memoCodecs')
+const InvalidPacketError = require('..').errors.InvalidPacketError
+
+describe('MemoCodecs', function () {
+  beforeEach(function () {
+    this.codecs = new MemoCodecs()
+  })
+
+  it('encodes JSON memos without a codec header', function () {
+    assert.equal(this.codecs.encode({foo: 'bar'}), 'eyJmb28iOiJiYXIifQ')
+    assert.deepEqual(this.codecs.decode('eyJmb28iOiJiYXIifQ'), {memo: {foo: 'bar'}, codec: 'json'})
+  })
+
+  it('encodes nothing if there is no memo', function () {
+    assert.equal(this.codecs.encode(undefined), '')
+    assert.deepEqual(this.codecs.decode(''), {memo: undefined, codec: undefined})
+  })
+
+  it('round-trips text and binary memos', function () {
+    assert.deepEqual(this.codecs.decode(this.codecs.encode('héllo', 'text')), {memo: 'héllo', codec: 'text'})
+    const buffer = Buffer.from([0, 123, 255])
+    assert.deepEqual(this.codecs.decode(this.codecs.encode(buffer)), {memo: buffer, codec: 'binary'})
+  })
+
+  it('round-trips custom codecs', function () {
+    this.codecs.register('csv', {
+      encode: (memo) => Buffer.from(memo.join(',')),
+      decode: (buffer) => buffer.toString().split(',')
+    })
+    assert.deepEqual(this.codecs.decode(this.codecs.encode(['a', 'b'], 'csv')), {memo: ['a', 'b'], codec: 'csv'})
+  })
+
+  it('validates codecs when they are registered', function () {
+    assert.throws(() => this.codecs.register('', {encode () {}, decode () {}}),
+      TypeError, 'Memo codec name must be 1-255 printable ASCII characters')
+    assert.throws(() => this.codecs.register('foo', {encode () {}}),
+      TypeError, 'Memo codec must have encode and decode functions')
+  })
+
+  it('does not unregister built-in codecs', function () {
+    assert.throws(() => this.codecs.unregister('json'), 'Cannot unregister built-in memo codec: json')
+  })
+
+  it('throws if a codec does not encode to a Buffer', function () {
+    this.codecs.register('broken', {encode: () => 'foo', decode: () => 'foo'})
+    assert.throws(() => this.codecs.encode('foo', 'broken'), 'Memo codec broken must encode to a Buffer')
+  })
+
+  it('throws on memos with an unknown codec', function () {
+    const data = this.codecs.encode('foo', 'text').replace(/^AAR0ZXh0/, 'AAR0ZXhY')
+    assert.throws(() => this.codecs.decode(data), InvalidPacketError, 'Unknown memo codec: texX')
+  })
+
+  it('does not take Object.prototype members for codecs', function () {
+    const other = new MemoCodecs()
+    other.register('constructor', {encode: (memo) => Buffer.from(memo), decode: (buffer) => buffer.toString()})
+    const data = other.encode('foo', 'constructor')
+    assert.throws(() => this.codecs.decode(data), InvalidPacketError, 'Unknown memo codec: constructor')
+    assert.throws(() => this.codecs.encode('foo', 'toString'), 'Unknown memo codec: toString')
+    assert.doesNotThrow(() => this.codecs.unregister('hasOwnProperty'))
+  })
+
+  it('throws on a truncated codec header', function () {
+    assert.throws(() => this.codecs.decode('AAU'), InvalidPacketError,
+      'ILP payment memo has a truncated codec header')
+  })
+})
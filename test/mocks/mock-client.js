@@ -6,6 +6,8 @@ class MockClient extends EventEmitter {
   constructor (opts) {
     super()
     this.plugin = opts
+    this.requestHandlers = {}
+    this.store = null
     this.plugin.getAccount = function () { return this.prefix + 'mark' }
     this.plugin.getInfo = function () {
       return {
@@ -19,6 +21,17 @@ class MockClient extends EventEmitter {
 
   getPlugin () { return this.plugin }
 
+  registerRequestHandler (method, handler) { this.requestHandlers[method] = handler }
+  unregisterRequestHandler (method) { delete this.requestHandlers[method] }
+
+  setStore (store) { this.store = store }
+
+  getStatus () { return {prefix: this.plugin.prefix, connectionState: 'connected'} }
+
+  getBalance () {
+    return Promise.resolve({prefix: this.plugin.prefix, balance: '0.00', baseBalance: '0', scale: 2})
+  }
+
   connect () { return Promise.resolve(null) }
   disconnect () { return Promise.resolve(null) }
 }
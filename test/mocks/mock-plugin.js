@@ -46,6 +46,14 @@ class MockPlugin extends EventEmitter {
   fulfillCondition () {
     return Promise.resolve(null)
   }
+
+  rejectIncomingTransfer () {
+    return Promise.resolve(null)
+  }
+
+  getBalance () {
+    return Promise.resolve('0')
+  }
 }
 
 module.exports = MockPlugin
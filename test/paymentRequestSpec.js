@@ -0,0 +1,47 @@
+'use strict'
+
+const assert = require('chai').assert
+
+const paymentRequest = require('..').paymentRequest
+const InvalidPaymentRequestError = require('..').errors.InvalidPaymentRequestError
+
+describe('paymentRequest', function () {
+  beforeEach(function () {
+    this.request = {
+      address: 'example.blue.mark.abc',
+      amount: '10',
+      executionCondition: 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U',
+      expiresAt: '2016-07-02T00:00:00.000Z',
+      memo: {invoice: 1}
+    }
+  })
+
+  it('round-trips a request', function () {
+    assert.deepEqual(paymentRequest.parse(paymentRequest.serialize(this.request)), this.request)
+  })
+
+  it('only serializes the fields the sender needs', function () {
+    const serialized = paymentRequest.serialize(Object.assign({id: 'abc', status: 'pending'}, this.request))
+    assert.deepEqual(JSON.parse(serialized), this.request)
+  })
+
+  it('parses request objects', function () {
+    this.request.amount = 10
+    assert.equal(paymentRequest.parse(this.request).amount, '10')
+  })
+
+  ;[
+    {serialized: '{', message: /Payment request is not valid JSON/},
+    {serialized: 'null', message: 'Payment request must be an object'},
+    {field: 'address', value: 'example blue', message: 'Payment request address is not a valid ILP address: example blue'},
+    {field: 'amount', value: '-1', message: 'Invalid payment request: amount must be positive: -1'},
+    {field: 'executionCondition', value: 'abc', message: 'Invalid payment request: executionCondition must be a base64url-encoded 32-byte hash: abc'},
+    {field: 'expiresAt', value: 'tomorrow', message: 'Payment request expiresAt is not a valid timestamp: tomorrow'}
+  ].forEach(function (test) {
+    it('throws on ' + (test.field ? 'an invalid ' + test.field : test.serialized), function () {
+      const serialized = test.serialized ||
+        paymentRequest.serialize(Object.assign(this.request, {[test.field]: test.value}))
+      assert.throws(() => paymentRequest.parse(serialized), InvalidPaymentRequestError, test.message)
+    })
+  })
+})
@@ -0,0 +1,100 @@
+'use strict'
+
+const sinon = require('sinon')
+const assert = require('chai').assert
+
+const QuoteCache = require('../src/lib/quoteCache')
+
+describe('QuoteCache', function () {
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers(1000)
+    this.cache = new QuoteCache(100)
+    this.quote = {sourceAmount: '1', destinationAmount: '2', connectorAccount: 'example.blue.connector1'}
+  })
+
+  afterEach(function () {
+    this.clock.restore()
+  })
+
+  describe('getKey', function () {
+    it('distinguishes amounts and destinations', function () {
+      const key = QuoteCache.getKey({destinationAddress: 'example.red.bob', sourceAmount: '1'})
+      assert.equal(key, QuoteCache.getKey({destinationAddress: 'example.red.bob', sourceAmount: '1'}))
+      assert.notEqual(key, QuoteCache.getKey({destinationAddress: 'example.red.bob', destinationAmount: '1'}))
+      assert.notEqual(key, QuoteCache.getKey({destinationAddress: 'example.red.carl', sourceAmount: '1'}))
+    })
+
+    it('distinguishes quote selectors', function () {
+      const query = {destinationAddress: 'example.red.bob', sourceAmount: '1'}
+      assert.notEqual(QuoteCache.getKey(Object.assign({select: 'cheapestSource'}, query)),
+        QuoteCache.getKey(Object.assign({select: 'bestDestination'}, query)))
+    })
+  })
+
+  describe('get', function () {
+    it('returns a copy of the cached quote', function () {
+      this.cache.set('key', this.quote)
+      const quote = this.cache.get('key')
+      assert.deepEqual(quote, this.quote)
+      quote.sourceAmount = '5'
+      assert.deepEqual(this.cache.get('key'), this.quote)
+    })
+
+    it('returns undefined once the ttl has passed', function () {
+      this.cache.set('key', this.quote)
+      this.clock.tick(100)
+      assert.isUndefined(this.cache.get('key'))
+      assert.deepEqual(this.cache.entries, {})
+    })
+
+    it('returns undefined once the quote has expired', function () {
+      this.cache.set('key', this.quote, (new Date(1050)).toISOString())
+      this.clock.tick(50)
+      assert.isUndefined(this.cache.get('key'))
+    })
+
+    it('returns undefined for unknown keys', function () {
+      assert.isUndefined(this.cache.get('key'))
+    })
+  })
+
+  describe('set', function () {
+    it('drops expired quotes for other keys', function () {
+      for (let i = 0; i < 1000; i++) {
+        this.cache.set('key' + i, this.quote)
+        this.clock.tick(1)
+      }
+      assert.isAtMost(Object.keys(this.cache.entries).length, 200)
+      assert.isObject(this.cache.get('key999'))
+    })
+  })
+
+  describe('invalidateConnector', function () {
+    it('removes the quotes through the connector', function () {
+      this.cache.set('key1', this.quote)
+      this.cache.set('key2', Object.assign({}, this.quote, {connectorAccount: 'example.blue.connector2'}))
+      this.cache.invalidateConnector('example.blue.connector1')
+      assert.isUndefined(this.cache.get('key1'))
+      assert.isObject(this.cache.get('key2'))
+    })
+  })
+
+  describe('clear', function () {
+    it('removes all quotes', function () {
+      this.cache.set('key', this.quote)
+      this.cache.clear()
+      assert.isUndefined(this.cache.get('key'))
+    })
+  })
+
+  describe('size', function () {
+    it('counts the cached quotes', function () {
+      assert.equal(this.cache.size, 0)
+      this.cache.set('key', this.quote)
+      this.cache.set('key2', this.quote)
+      assert.equal(this.cache.size, 2)
+      this.cache.clear()
+      assert.equal(this.cache.size, 0)
+    })
+  })
+})
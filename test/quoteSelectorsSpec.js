@@ -0,0 +1,42 @@
+'use strict'
+
+const assert = require('chai').assert
+
+const quoteSelectors = require('..').quoteSelectors
+
+describe('quoteSelectors', function () {
+  const quote1 = {sourceAmount: '10', destinationAmount: '5', sourceExpiryDuration: '5'}
+  const quote2 = {sourceAmount: '9', destinationAmount: '4', sourceExpiryDuration: '10'}
+  const quote3 = {sourceAmount: '9', destinationAmount: '5'}
+
+  describe('cheapestSource', function () {
+    it('prefers the lower source amount', function () {
+      assert.deepEqual([quote1, quote2].sort(quoteSelectors.cheapestSource), [quote2, quote1])
+    })
+
+    it('breaks ties with the higher destination amount', function () {
+      assert.deepEqual([quote2, quote3].sort(quoteSelectors.cheapestSource), [quote3, quote2])
+    })
+
+    it('treats quotes without amounts as worse', function () {
+      assert.isAbove(quoteSelectors.cheapestSource({}, quote1), 0)
+      assert.strictEqual(quoteSelectors.cheapestSource({}, {}), 0)
+    })
+  })
+
+  describe('bestDestination', function () {
+    it('prefers the higher destination amount', function () {
+      assert.deepEqual([quote2, quote1].sort(quoteSelectors.bestDestination), [quote1, quote2])
+    })
+
+    it('breaks ties with the lower source amount', function () {
+      assert.deepEqual([quote1, quote3].sort(quoteSelectors.bestDestination), [quote3, quote1])
+    })
+  })
+
+  describe('shortestExpiry', function () {
+    it('prefers the shorter source expiry duration', function () {
+      assert.deepEqual([quote3, quote2, quote1].sort(quoteSelectors.shortestExpiry), [quote1, quote2, quote3])
+    })
+  })
+})
@@ -0,0 +1,241 @@
+'use strict'
+
+const sinon = require('sinon')
+const chai = require('chai')
+sinon.assert.expose(chai.assert, { prefix: '' })
+const assert = chai.assert
+
+const packet = require('ilp-packet')
+const ilpCore = require('..')
+const Client = ilpCore.Client
+const Receiver = ilpCore.Receiver
+const condition = ilpCore.condition
+const MockPlugin = require('./mocks/mock-plugin')
+
+const SECRET = Buffer.alloc(32, 1)
+
+describe('Receiver', function () {
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers(0)
+    this.client = new Client({_plugin: MockPlugin})
+    this.plugin = this.client.getPlugin()
+    this.fulfill = sinon.spy(this.plugin, 'fulfillCondition')
+    this.reject = sinon.spy(this.plugin, 'rejectIncomingTransfer')
+    this.receiver = this.client.createReceiver({secret: SECRET})
+    this.request = this.receiver.createRequest({amount: '10', id: 'abc'})
+
+    this.makeTransfer = (fields, packetFields) => Object.assign({
+      id: 'transfer1',
+      amount: '10',
+      executionCondition: this.request.executionCondition,
+      expiresAt: '1970-01-01T00:00:10.000Z',
+      ilp: packet.serializeIlpPayment(Object.assign({
+        account: this.request.address,
+        amount: '10',
+        data: ''
+      }, packetFields)).toString('base64')
+    }, fields)
+  })
+
+  afterEach(function () {
+    this.clock.restore()
+  })
+
+  describe('constructor', function () {
+    it('requires a secret of at least 32 bytes', function () {
+      assert.throws(() => new Receiver(this.client, {secret: Buffer.alloc(16)}),
+        TypeError, '"opts.secret" must be a Buffer of at least 32 bytes')
+      assert.throws(() => new Receiver(this.client, {secret: 'secret'}), TypeError)
+    })
+
+    it('validates requestExpiryDuration', function () {
+      assert.throws(() => new Receiver(this.client, {secret: SECRET, requestExpiryDuration: -1}),
+        TypeError, '"opts.requestExpiryDuration" must be a positive number')
+    })
+  })
+
+  describe('createRequest', function () {
+    it('creates a payment request on the client', function () {
+      assert.deepEqual(this.request, {
+        id: 'abc',
+        address: 'example.blue.mark.abc',
+        amount: '10',
+        executionCondition: this.request.executionCondition,
+        expiresAt: '1970-01-01T00:01:00.000Z',
+        status: 'pending'
+      })
+      assert.deepEqual(this.client.getPaymentRequest('abc'), this.request)
+      condition.validateCondition(this.request.executionCondition)
+    })
+
+    it('derives the condition from the secret', function () {
+      const client = new Client({_plugin: MockPlugin})
+      const other = new Receiver(client, {secret: Buffer.alloc(32, 2)})
+      assert.notEqual(other.createRequest({amount: '10', id: 'abc'}).executionCondition, this.request.executionCondition)
+      client.removePaymentRequest('abc')
+      const same = new Receiver(client, {secret: SECRET})
+      assert.equal(same.createRequest({amount: '10', id: 'abc'}).executionCondition, this.request.executionCondition)
+    })
+
+    it('generates an id', function () {
+      const request = this.receiver.createRequest({amount: '1'})
+      assert.match(request.id, /^[0-9a-f-]{36}$/)
+      assert.equal(request.address, 'example.blue.mark.' + request.id)
+    })
+
+    it('rejects duplicate and invalid ids', function () {
+      assert.throws(() => this.receiver.createRequest({amount: '1', id: 'abc'}),
+        'A payment request already exists with id: abc')
+      assert.throws(() => this.receiver.createRequest({amount: '1', id: 'a.b'}),
+        /Payment request id may only contain/)
+    })
+
+    it('validates the amount against the ledger', function () {
+      assert.throws(() => this.receiver.createRequest({amount: '1.001'}),
+        'amount has more than 2 decimal places: 1.001')
+    })
+  })
+
+  describe('incoming payments', function () {
+    it('fulfills a matching transfer', function * () {
+      const spy = sinon.spy()
+      this.receiver.on('fulfill', spy)
+      const transfer = this.makeTransfer()
+      yield this.plugin.emitAsync('incoming_prepare', transfer)
+
+      assert.calledOnce(this.fulfill)
+      const fulfillment = this.fulfill.firstCall.args[1]
+      assert.equal(this.fulfill.firstCall.args[0], 'transfer1')
+      assert.isTrue(condition.verifyFulfillment(fulfillment, this.request.executionCondition))
+      assert.calledWithMatch(spy, transfer, fulfillment, {id: 'abc'})
+      assert.notCalled(this.reject)
+    })
+
+    it('accepts overpayment', function * () {
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer({amount: '11'}))
+      assert.calledOnce(this.fulfill)
+    })
+
+    it('only fulfills a request once', function * () {
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer())
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer({id: 'transfer2'}))
+      assert.calledOnce(this.fulfill)
+      assert.calledWithMatch(this.reject, 'transfer2', {code: 'F99', message: 'Payment request abc has already been paid'})
+    })
+
+    it('does not emit fulfill if fulfilling fails', function * () {
+      const spy = sinon.spy()
+      this.receiver.on('fulfill', spy)
+      this.plugin.fulfillCondition = () => Promise.reject(new Error('ledger error'))
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer())
+      assert.notCalled(spy)
+    })
+
+    it('rejects a transfer for too little', function * () {
+      const spy = sinon.spy()
+      this.receiver.on('reject', spy)
+      const transfer = this.makeTransfer({amount: '9.99'})
+      yield this.plugin.emitAsync('incoming_prepare', transfer)
+
+      assert.notCalled(this.fulfill)
+      assert.calledWithMatch(this.reject, 'transfer1', {
+        code: 'F04',
+        name: 'Insufficient Destination Amount',
+        message: 'Transfer amount 9.99 is less than the requested 10',
+        triggered_by: 'example.blue.mark',
+        triggered_at: '1970-01-01T00:00:00.000Z'
+      })
+      assert.calledWithMatch(spy, transfer, {code: 'F04'}, {id: 'abc'})
+    })
+
+    it('rejects a transfer after the request expired', function * () {
+      this.clock.tick(60000)
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer())
+      assert.calledWithMatch(this.reject, 'transfer1', {
+        code: 'R00',
+        message: 'Payment request expired at 1970-01-01T00:01:00.000Z'
+      })
+    })
+
+    it('rejects a transfer with the wrong condition', function * () {
+      const executionCondition = condition.generateConditionPair().condition
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer({executionCondition}))
+      assert.calledWithMatch(this.reject, 'transfer1', {
+        code: 'F05',
+        message: 'Transfer condition does not match payment request abc'
+      })
+    })
+
+    it('rejects a transfer with a malformed packet', function * () {
+      const spy = sinon.spy()
+      this.receiver.on('reject', spy)
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer({ilp: 'zzzz'}))
+      assert.calledWithMatch(this.reject, 'transfer1', {
+        code: 'F01',
+        message: 'Invalid ILP payment packet: Packet has incorrect type'
+      })
+      assert.calledWithMatch(spy, {id: 'transfer1'}, {code: 'F01'}, {id: 'abc'})
+    })
+
+    it('ignores a malformed packet unless the condition is one of its requests', function * () {
+      const executionCondition = condition.generateConditionPair().condition
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer({ilp: 'zzzz', executionCondition}))
+      assert.notCalled(this.reject)
+    })
+
+    it('does not fulfill a transfer that has already expired', function * () {
+      this.clock.tick(10000)
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer())
+      assert.notCalled(this.fulfill)
+      assert.notCalled(this.reject)
+    })
+
+    it('ignores transfers for other accounts', function * () {
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer({}, {account: 'example.blue.bob.abc'}))
+      assert.notCalled(this.fulfill)
+      assert.notCalled(this.reject)
+    })
+
+    it('ignores optimistic transfers', function * () {
+      yield this.plugin.emitAsync('incoming_transfer', this.makeTransfer({executionCondition: undefined}))
+      assert.notCalled(this.fulfill)
+      assert.notCalled(this.reject)
+    })
+
+    it('ignores transfers once stopped', function * () {
+      this.receiver.stop()
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer())
+      assert.notCalled(this.fulfill)
+      this.receiver.listen()
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer())
+      assert.calledOnce(this.fulfill)
+    })
+
+    it('leaves requests it did not create to the application', function * () {
+      this.client.createPaymentRequest({
+        id: 'other',
+        amount: '10',
+        executionCondition: this.request.executionCondition
+      })
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer({}, {account: 'example.blue.mark.other'}))
+      assert.notCalled(this.fulfill)
+      assert.notCalled(this.reject)
+      assert.equal(this.client.getPaymentRequest('other').status, 'prepared')
+    })
+
+    it('recognizes its requests from the condition alone', function * () {
+      this.receiver.stop()
+      const receiver = new Receiver(this.client, {secret: SECRET})
+      receiver.listen()
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer())
+      assert.calledOnce(this.fulfill)
+    })
+
+    it('forgets cancelled requests', function * () {
+      this.receiver.cancelRequest('abc')
+      yield this.plugin.emitAsync('incoming_prepare', this.makeTransfer())
+      assert.notCalled(this.fulfill)
+      assert.notCalled(this.reject)
+    })
+  })
+})
@@ -0,0 +1,83 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const assert = chai.assert
+
+const store = require('../src/lib/store')
+
+describe('store', function () {
+  describe('MemoryStore', function () {
+    it('gets, puts and deletes values', function * () {
+      const memoryStore = new store.MemoryStore()
+      assert.isUndefined(yield memoryStore.get('foo'))
+      yield memoryStore.put('foo', 'bar')
+      assert.equal(yield memoryStore.get('foo'), 'bar')
+      yield memoryStore.del('foo')
+      assert.isUndefined(yield memoryStore.get('foo'))
+    })
+  })
+
+  describe('FileStore', function () {
+    beforeEach(function () {
+      this.file = path.join(os.tmpdir(), 'ilp-core-store-' + process.pid + '-' + Date.now() + '.json')
+    })
+
+    afterEach(function () {
+      for (const file of [this.file, this.file + '.tmp']) {
+        if (fs.existsSync(file)) fs.unlinkSync(file)
+      }
+    })
+
+    it('requires a path', function () {
+      assert.throws(() => new store.FileStore(), TypeError, 'file must be a path')
+    })
+
+    it('starts out empty if the file does not exist', function * () {
+      assert.isUndefined(yield (new store.FileStore(this.file)).get('foo'))
+    })
+
+    it('persists values across instances', function * () {
+      const fileStore = new store.FileStore(this.file)
+      yield Promise.all([fileStore.put('foo', 'bar'), fileStore.put('baz', 'qux')])
+      yield fileStore.del('baz')
+
+      const reloaded = new store.FileStore(this.file)
+      assert.equal(yield reloaded.get('foo'), 'bar')
+      assert.isUndefined(yield reloaded.get('baz'))
+      assert.isFalse(fs.existsSync(this.file + '.tmp'))
+    })
+
+    it('rejects if the file is not valid JSON', function * () {
+      fs.writeFileSync(this.file, '{')
+      const fileStore = new store.FileStore(this.file)
+      yield assert.isRejected(fileStore.get('foo'), /Store file is not valid JSON/)
+      fs.writeFileSync(this.file, '{"foo":"bar"}')
+      assert.equal(yield fileStore.get('foo'), 'bar')
+    })
+  })
+
+  describe('getMissingMethods', function () {
+    it('lists the methods a store lacks', function () {
+      assert.deepEqual(store.getMissingMethods(new store.MemoryStore()), [])
+      assert.deepEqual(store.getMissingMethods({get: () => {}}), ['put', 'del'])
+      assert.deepEqual(store.getMissingMethods(null), ['get', 'put', 'del'])
+    })
+  })
+
+  describe('prefixStore', function () {
+    it('prefixes keys', function * () {
+      const memoryStore = new store.MemoryStore()
+      const prefixed = store.prefixStore(memoryStore, 'ledger1.')
+      yield prefixed.put('foo', 'bar')
+      assert.deepEqual(memoryStore.data, {'ledger1.foo': 'bar'})
+      assert.equal(yield prefixed.get('foo'), 'bar')
+      yield prefixed.del('foo')
+      assert.deepEqual(memoryStore.data, {})
+    })
+  })
+})
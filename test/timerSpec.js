@@ -0,0 +1,75 @@
+'use strict'
+
+const sinon = require('sinon')
+const assert = require('chai').assert
+
+const timer = require('../src/lib/timer')
+
+describe('timer', function () {
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers(0)
+  })
+
+  afterEach(function () {
+    this.clock.restore()
+  })
+
+  describe('setTimer', function () {
+    it('calls back at the given time', function () {
+      const spy = sinon.spy()
+      timer.setTimer(spy, 100)
+      this.clock.tick(99)
+      assert.equal(spy.callCount, 0)
+      this.clock.tick(1)
+      assert.equal(spy.callCount, 1)
+    })
+
+    it('calls back right away for a time in the past', function () {
+      const spy = sinon.spy()
+      this.clock.tick(100)
+      timer.setTimer(spy, 50)
+      this.clock.tick(0)
+      assert.equal(spy.callCount, 1)
+    })
+
+    it('waits for times beyond the longest setTimeout delay', function () {
+      const spy = sinon.spy()
+      const setTimeout = sinon.spy(global, 'setTimeout')
+      timer.setTimer(spy, timer.MAX_TIMEOUT * 2 + 10)
+      this.clock.tick(timer.MAX_TIMEOUT * 2)
+      assert.equal(spy.callCount, 0)
+      this.clock.tick(10)
+      assert.equal(spy.callCount, 1)
+      setTimeout.restore()
+      // longer delays would fire right away
+      assert.deepEqual(setTimeout.args.map((args) => args[1]), [timer.MAX_TIMEOUT, timer.MAX_TIMEOUT, 10])
+    })
+  })
+
+  it('does not keep the process alive', function () {
+    this.clock.restore()
+    const t = timer.setTimer(() => {}, Date.now() + 1000)
+    assert.isFalse(t.timeout.hasRef())
+    timer.clearTimer(t)
+    this.clock = sinon.useFakeTimers(0)
+  })
+
+  it('keeps the process alive with the "ref" option', function () {
+    this.clock.restore()
+    const t = timer.setTimer(() => {}, Date.now() + 1000, {ref: true})
+    assert.isTrue(t.timeout.hasRef())
+    timer.clearTimer(t)
+    this.clock = sinon.useFakeTimers(0)
+  })
+
+  describe('clearTimer', function () {
+    it('cancels the timer, even once it has been re-armed', function () {
+      const spy = sinon.spy()
+      const t = timer.setTimer(spy, timer.MAX_TIMEOUT + 10)
+      this.clock.tick(timer.MAX_TIMEOUT)
+      timer.clearTimer(t)
+      this.clock.tick(10)
+      assert.equal(spy.callCount, 0)
+    })
+  })
+})
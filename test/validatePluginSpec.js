@@ -0,0 +1,79 @@
+'use strict'
+
+const assert = require('chai').assert
+
+const validatePlugin = require('..').validatePlugin
+const assertValidPlugin = require('../src/lib/validatePlugin').assertValidPlugin
+const PluginInterfaceError = require('..').errors.PluginInterfaceError
+const MockPlugin = require('./mocks/mock-plugin')
+
+describe('validatePlugin', function () {
+  beforeEach(function () {
+    this.plugin = new MockPlugin()
+  })
+
+  it('returns no violations for a conforming plugin', function () {
+    assert.deepEqual(validatePlugin(this.plugin), [])
+  })
+
+  it('reports every missing method', function () {
+    this.plugin.sendMessage = undefined
+    this.plugin.getBalance = 'foo'
+    assert.deepEqual(validatePlugin(this.plugin), [
+      'missing method getBalance()',
+      'missing method sendMessage()'
+    ])
+  })
+
+  it('rejects non-objects', function () {
+    assert.deepEqual(validatePlugin(null), ['plugin must be an object'])
+  })
+
+  it('checks the shape of getInfo()', function () {
+    this.plugin.getInfo = () => ({prefix: 'example.blue', precision: -1, scale: 1.5, connectors: 'foo'})
+    assert.deepEqual(validatePlugin(this.plugin), [
+      'getInfo().prefix must be a string ending in "."',
+      'getInfo().precision must be a non-negative integer',
+      'getInfo().scale must be a non-negative integer',
+      'getInfo().connectors must be an array'
+    ])
+  })
+
+  it('checks that getAccount() is under the ledger prefix', function () {
+    this.plugin.getAccount = () => 'example.red.mark'
+    assert.deepEqual(validatePlugin(this.plugin), [
+      'getAccount() must start with the ledger prefix example.blue.'
+    ])
+  })
+
+  it('reports methods that throw', function () {
+    this.plugin.getInfo = () => { throw new Error('not connected') }
+    this.plugin.getAccount = () => { throw new Error('not connected') }
+    assert.deepEqual(validatePlugin(this.plugin), [
+      'getInfo() threw: not connected',
+      'getAccount() threw: not connected'
+    ])
+  })
+
+  it('only checks the methods with checkInfo: false', function () {
+    this.plugin.getInfo = () => { throw new Error('not connected') }
+    assert.deepEqual(validatePlugin(this.plugin, {checkInfo: false}), [])
+  })
+
+  describe('assertValidPlugin', function () {
+    it('throws a PluginInterfaceError listing every violation', function () {
+      this.plugin.sendMessage = undefined
+      this.plugin.fulfillCondition = undefined
+      try {
+        assertValidPlugin(this.plugin)
+      } catch (err) {
+        assert.instanceOf(err, PluginInterfaceError)
+        assert.equal(err.message, 'Ledger plugin does not conform to the ledger plugin interface: ' +
+          'missing method sendMessage(); missing method fulfillCondition()')
+        assert.deepEqual(err.violations, ['missing method sendMessage()', 'missing method fulfillCondition()'])
+        return
+      }
+      assert(false, 'expected an error')
+    })
+  })
+})